@@ -0,0 +1,671 @@
+// Firefox Crunchyroll Rating Helper Background Script
+// Resolves ratings that cards don't show by querying Crunchyroll's API on the user's session,
+// looks up AniList / MyAnimeList scores for the optional external rating provider,
+// and forwards keyboard shortcut commands to the active tab
+
+(function() {
+    'use strict';
+
+    // Series without a rating (or that failed) are not asked for again for this long
+    const RETRY_AFTER = 60 * 60 * 1000;
+    // Slow down this much after a server answers 429 Too Many Requests
+    const RATE_LIMIT_BACKOFF = 30 * 1000;
+    // External scores are looked up again after a week, failed matches after a day
+    const EXTERNAL_TTL = 7 * 24 * 60 * 60 * 1000;
+    const EXTERNAL_MISS_TTL = 24 * 60 * 60 * 1000;
+    const EXTERNAL_MAX_ENTRIES = 5000;
+    // Public APIs allow roughly one request per second
+    const EXTERNAL_BATCH_SIZE = 1;
+    const EXTERNAL_BATCH_INTERVAL = 1200;
+    // Shared cached ratings (syncRatingCache): at most this much of the 100 KB storage.sync quota,
+    // uploaded at most once a minute, and always leaving room for settings to grow
+    const RATING_SYNC_MAX_BYTES = 48 * 1024;
+    const RATING_SYNC_RESERVE_BYTES = 16 * 1024;
+    const RATING_SYNC_UPLOAD_DELAY = 60 * 1000;
+    const RATING_SYNC_DOWNLOAD_DELAY = 1000;
+
+    let settings = CRSettings.defaults();
+    let resolver = null;
+    let externalResolver = null;
+    const externalTitles = new Map(); // External cache key -> title as shown on Crunchyroll
+
+    const Logger = {
+        debug: (...args) => {
+            if (settings.debugMode) console.log('🔍 CR Background:', ...args);
+        },
+        warn: console.warn.bind(console, '⚠️ CR Background:')
+    };
+
+    /**
+     * Create a queue that resolves keys (e.g. series IDs) in rate-limited batches
+     * @param {Object} options - Resolver options
+     * @param {Function} options.resolveItem - Resolves one key to a result, or null when there is none
+     * @param {number} options.batchSize - Requests sent together per batch
+     * @param {number} options.batchInterval - Milliseconds to wait between batches
+     * @param {Function} options.onResults - Called with (tabIds, results) after every batch
+     * @returns {Object} - Resolver with request() and handOver()
+     */
+    function createBatchResolver({ resolveItem, batchSize, batchInterval, onResults }) {
+        const waiting = new Map(); // Key -> Set of tab IDs waiting for it
+        const skipUntil = new Map(); // Key -> timestamp before which it is not requested again
+        let running = false;
+
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        /**
+         * Queue keys for a tab; already queued keys just gain another listener
+         * @param {string[]} keys - Keys to resolve
+         * @param {number} tabId - Tab to send results to
+         * @returns {number} - Number of keys queued
+         */
+        function request(keys, tabId) {
+            const now = Date.now();
+            let queued = 0;
+            keys.forEach(key => {
+                if ((skipUntil.get(key) || 0) > now) {
+                    return;
+                }
+                if (!waiting.has(key)) {
+                    waiting.set(key, new Set());
+                }
+                waiting.get(key).add(tabId);
+                queued++;
+            });
+            if (queued > 0) {
+                processQueue();
+            }
+            return queued;
+        }
+
+        /**
+         * Resolve one batch and report what resolved
+         * @param {string[]} batch - Keys
+         * @returns {Promise<boolean>} - Whether the server asked us to slow down
+         */
+        function resolveBatch(batch) {
+            const tabIds = new Set();
+            const results = {};
+            let rateLimited = false;
+
+            /**
+             * Take a key off the queue, remembering which tabs were waiting for it
+             * @param {string} key - Resolved key
+             */
+            function settle(key) {
+                (waiting.get(key) || []).forEach(tabId => tabIds.add(tabId));
+                waiting.delete(key);
+            }
+
+            return Promise.all(batch.map(key => {
+                return resolveItem(key)
+                    .then(result => {
+                        settle(key);
+                        if (result) {
+                            results[key] = result;
+                        } else {
+                            skipUntil.set(key, Date.now() + RETRY_AFTER);
+                        }
+                    })
+                    .catch(error => {
+                        if (error.status === 429) {
+                            rateLimited = true; // Leave it queued for a later batch
+                            return;
+                        }
+                        settle(key);
+                        skipUntil.set(key, Date.now() + RETRY_AFTER);
+                        Logger.debug(`Could not resolve ${key}:`, error.message);
+                    });
+            })).then(() => {
+                if (Object.keys(results).length > 0) {
+                    onResults(Array.from(tabIds), results);
+                }
+                return rateLimited;
+            });
+        }
+
+        /**
+         * Work through the queue one batch at a time until it is empty
+         */
+        function processQueue() {
+            if (running) {
+                return;
+            }
+            running = true;
+
+            const next = () => {
+                const batch = Array.from(waiting.keys()).slice(0, batchSize);
+                if (batch.length === 0) {
+                    running = false;
+                    return;
+                }
+                Logger.debug(`Resolving ${batch.length} keys, ${waiting.size - batch.length} more queued`);
+                resolveBatch(batch)
+                    .then(rateLimited => wait(rateLimited ? RATE_LIMIT_BACKOFF : batchInterval))
+                    .then(next);
+            };
+            next();
+        }
+
+        /**
+         * Empty the queue for a resolver replacing this one; a batch already in flight reports to no tab
+         * @returns {Map} - Key -> Set of tab IDs that were still waiting for it
+         */
+        function handOver() {
+            const pending = new Map(waiting);
+            waiting.clear(); // Stops processQueue after the current batch
+            return pending;
+        }
+
+        return { request, handOver };
+    }
+
+    /**
+     * Queue the keys a replaced resolver had not resolved yet
+     * @param {Object|null} previous - Replaced resolver
+     * @param {Object} next - New resolver
+     */
+    function carryOverQueue(previous, next) {
+        if (!previous) {
+            return;
+        }
+        const pending = previous.handOver();
+        const keysByTab = new Map();
+        pending.forEach((tabIds, key) => {
+            tabIds.forEach(tabId => {
+                keysByTab.set(tabId, [...(keysByTab.get(tabId) || []), key]);
+            });
+        });
+        keysByTab.forEach((keys, tabId) => next.request(keys, tabId));
+        if (pending.size > 0) {
+            Logger.debug(`Carried ${pending.size} queued keys over to the new resolver`);
+        }
+    }
+
+    /**
+     * Perform an HTTP request for both API clients; `fetch` is looked up per call, so tests can stub it
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch options
+     * @returns {Promise<Response>} - Response
+     */
+    function httpRequest(url, init) {
+        return fetch(url, init);
+    }
+
+    // Matched AniList / MyAnimeList scores, persisted in browser.storage.local
+    const ExternalCache = {
+        entries: null, // "provider:normalized title" -> { id, url, score, matchedTitle, updatedAt } or { miss, updatedAt }
+        saveTimeout: null,
+
+        /**
+         * Load the cache on first use
+         * @returns {Promise<Map>} - Cache entries
+         */
+        load() {
+            if (ExternalCache.entries) {
+                return Promise.resolve(ExternalCache.entries);
+            }
+            const key = CRSettings.STORAGE_KEYS.externalCache;
+            return browser.storage.local.get(key).then(stored => {
+                ExternalCache.entries = ExternalCache.entries || new Map(Object.entries(stored[key] || {}));
+                return ExternalCache.entries;
+            });
+        },
+
+        /**
+         * Cache key for a title looked up with a provider
+         * @param {string} provider - Provider name
+         * @param {string} title - Crunchyroll title
+         * @returns {string} - Cache key
+         */
+        keyFor(provider, title) {
+            return `${provider}:${ExternalProviders.normalizeTitle(title)}`;
+        },
+
+        /**
+         * Fresh cache entry for a key, if any
+         * @param {string} key - Cache key
+         * @returns {Object|null} - Entry (may be a remembered miss)
+         */
+        get(key) {
+            const entry = ExternalCache.entries && ExternalCache.entries.get(key);
+            if (!entry) {
+                return null;
+            }
+            const ttl = entry.miss ? EXTERNAL_MISS_TTL : EXTERNAL_TTL;
+            return Date.now() - entry.updatedAt < ttl ? entry : null;
+        },
+
+        /**
+         * Store a lookup result (null remembers that nothing matched)
+         * @param {string} key - Cache key
+         * @param {Object|null} match - Provider match
+         */
+        set(key, match) {
+            ExternalCache.entries.set(key, match ? { ...match, updatedAt: Date.now() } : { miss: true, updatedAt: Date.now() });
+            if (!ExternalCache.saveTimeout) {
+                ExternalCache.saveTimeout = setTimeout(ExternalCache.save, 2000);
+            }
+        },
+
+        /**
+         * Drop the oldest entries beyond the size limit and write the cache
+         * @returns {Promise<void>}
+         */
+        save() {
+            ExternalCache.saveTimeout = null;
+            const entries = Array.from(ExternalCache.entries).sort((a, b) => b[1].updatedAt - a[1].updatedAt);
+            ExternalCache.entries = new Map(entries.slice(0, EXTERNAL_MAX_ENTRIES));
+            return browser.storage.local.set({
+                [CRSettings.STORAGE_KEYS.externalCache]: Object.fromEntries(ExternalCache.entries)
+            }).catch(error => {
+                Logger.warn('Could not save external score cache:', error);
+            });
+        },
+
+        /**
+         * Take over entries written elsewhere (e.g. imported from a backup), so the next save keeps them
+         * @param {Object} stored - Cache key -> entry from storage
+         */
+        merge(stored) {
+            if (!ExternalCache.entries) {
+                return; // Read on first use
+            }
+            Object.entries(stored).forEach(([key, entry]) => {
+                const current = ExternalCache.entries.get(key);
+                if (entry && (!current || current.updatedAt < entry.updatedAt)) {
+                    ExternalCache.entries.set(key, entry);
+                }
+            });
+        }
+    };
+
+    // Cached ratings shared between devices through browser.storage.sync when syncRatingCache is on.
+    // This script is the only writer per device: it uploads the most recently updated entries of the local
+    // cache (merged with what other devices uploaded) and merges newer uploaded entries into the local cache,
+    // which content scripts then pick up. The newest updatedAt per series wins conflicts.
+    const RatingSync = {
+        uploadTimeout: null,
+        downloadTimeout: null,
+
+        /**
+         * Encode entries compactly, one "ID,rating,votes,updatedAt in seconds" line per series
+         * @param {Array} entries - [seriesId, entry] pairs, newest first
+         * @param {number} maxBytes - Size limit of the result
+         * @returns {string} - Encoded entries that fit
+         */
+        encode(entries, maxBytes) {
+            const lines = [];
+            let size = 0;
+            for (const [seriesId, entry] of entries) {
+                const line = `${seriesId},${entry.rating},${entry.votes},${Math.round(entry.updatedAt / 1000)}`;
+                size += line.length + 1; // IDs and numbers are ASCII
+                if (size > maxBytes) {
+                    break;
+                }
+                lines.push(line);
+            }
+            return lines.join('\n');
+        },
+
+        /**
+         * Decode entries written by encode()
+         * @param {*} text - Stored text
+         * @returns {Map} - Series ID -> { rating, votes, updatedAt }
+         */
+        decode(text) {
+            const entries = new Map();
+            if (typeof text !== 'string') {
+                return entries;
+            }
+            text.split('\n').forEach(line => {
+                const [seriesId, rating, votes, updatedAt] = line.split(',');
+                const entry = { rating: Number(rating), votes: Number(votes), updatedAt: Number(updatedAt) * 1000 };
+                if (/^[A-Z0-9]+$/.test(seriesId) && entry.rating > 0 && entry.rating <= 5 &&
+                    entry.votes >= 0 && entry.updatedAt > 0) {
+                    entries.set(seriesId, entry);
+                }
+            });
+            return entries;
+        },
+
+        /**
+         * Whether a storage.sync item holds (part of) the shared ratings
+         * @param {string} name - Storage item name
+         * @returns {boolean} - True for the header and its chunks
+         */
+        isOwnItem(name) {
+            const key = CRSettings.STORAGE_KEYS.ratingSync;
+            return name === key || name.startsWith(`${key}.chunk`);
+        },
+
+        /**
+         * Room left for the shared ratings by everything else stored in browser.storage.sync
+         * @param {Object} stored - Contents of browser.storage.sync
+         * @returns {number} - Bytes the shared ratings may use
+         */
+        budget(stored) {
+            const encoder = new TextEncoder();
+            const quota = browser.storage.sync.QUOTA_BYTES || 102400;
+            const used = Object.entries(stored)
+                .filter(([name]) => !RatingSync.isOwnItem(name))
+                .reduce((total, [name, value]) => total + encoder.encode(name + JSON.stringify(value)).length, 0);
+            // Every chunk repeats its key and revision, so keep some slack per chunk
+            return Math.min(RATING_SYNC_MAX_BYTES, Math.floor((quota - used - RATING_SYNC_RESERVE_BYTES) * 0.9));
+        },
+
+        /**
+         * Upload after local cache writes settle
+         */
+        scheduleUpload() {
+            if (settings.syncRatingCache && !RatingSync.uploadTimeout) {
+                RatingSync.uploadTimeout = setTimeout(RatingSync.upload, RATING_SYNC_UPLOAD_DELAY);
+            }
+        },
+
+        /**
+         * Merge the local cache with the shared entries and write the newest ones that fit
+         * @returns {Promise<void>}
+         */
+        upload() {
+            RatingSync.uploadTimeout = null;
+            if (!settings.syncRatingCache) {
+                return Promise.resolve();
+            }
+
+            const key = CRSettings.STORAGE_KEYS.ratingSync;
+            const localKey = CRSettings.STORAGE_KEYS.ratingCache;
+            return Promise.all([browser.storage.sync.get(null), browser.storage.local.get(localKey)])
+                .then(([stored, local]) => {
+                    const current = CRSettings.readChunked(stored, key);
+                    if (current === undefined && stored[key] !== undefined) {
+                        RatingSync.scheduleUpload(); // Another device's upload is still arriving
+                        return undefined;
+                    }
+                    const merged = RatingSync.decode(current);
+                    const oldest = Date.now() - settings.cacheTtlDays * 24 * 60 * 60 * 1000;
+                    Object.entries(local[localKey] || {}).forEach(([seriesId, entry]) => {
+                        const shared = merged.get(seriesId);
+                        // Shared entries are stored to the second
+                        if (entry && entry.rating > 0 && (!shared || shared.updatedAt < Math.round(entry.updatedAt / 1000) * 1000)) {
+                            merged.set(seriesId, entry);
+                        }
+                    });
+
+                    const newest = Array.from(merged)
+                        .filter(([, entry]) => entry.updatedAt > oldest)
+                        .sort((a, b) => b[1].updatedAt - a[1].updatedAt);
+                    const text = RatingSync.encode(newest, RatingSync.budget(stored));
+                    if (text === (current || '')) {
+                        return undefined; // Nothing new, and no write that would echo back to other devices
+                    }
+                    return CRSettings.writeChunked(key, text, stored).then(() => {
+                        Logger.debug(`Shared ${text ? text.split('\n').length : 0} cached ratings`);
+                    });
+                })
+                .catch(error => {
+                    Logger.warn('Could not share cached ratings:', error);
+                });
+        },
+
+        /**
+         * Download after the chunks of another device's upload have all arrived
+         */
+        scheduleDownload() {
+            if (settings.syncRatingCache) {
+                clearTimeout(RatingSync.downloadTimeout);
+                RatingSync.downloadTimeout = setTimeout(RatingSync.download, RATING_SYNC_DOWNLOAD_DELAY);
+            }
+        },
+
+        /**
+         * Merge shared entries that are newer than the local ones into the local cache
+         * @returns {Promise<void>}
+         */
+        download() {
+            RatingSync.downloadTimeout = null;
+            const key = CRSettings.STORAGE_KEYS.ratingSync;
+            const localKey = CRSettings.STORAGE_KEYS.ratingCache;
+            return Promise.all([browser.storage.sync.get(null), browser.storage.local.get(localKey)])
+                .then(([stored, local]) => {
+                    const shared = CRSettings.readChunked(stored, key);
+                    if (shared === undefined) {
+                        return undefined; // Nothing shared yet, or chunks still arriving
+                    }
+
+                    const cache = { ...(local[localKey] || {}) };
+                    let updated = 0;
+                    RatingSync.decode(shared).forEach((entry, seriesId) => {
+                        const current = cache[seriesId];
+                        if (!current || Math.round(current.updatedAt / 1000) * 1000 < entry.updatedAt) {
+                            cache[seriesId] = {
+                                rating: entry.rating,
+                                votes: entry.votes,
+                                votesText: CrunchyrollApi.formatVotes(entry.votes),
+                                title: (current && current.title) || '',
+                                updatedAt: entry.updatedAt
+                            };
+                            updated++;
+                        }
+                    });
+                    if (updated === 0) {
+                        return undefined;
+                    }
+                    return browser.storage.local.set({ [localKey]: cache }).then(() => {
+                        Logger.debug(`Took ${updated} cached ratings from other devices`);
+                    });
+                })
+                .catch(error => {
+                    Logger.warn('Could not read shared cached ratings:', error);
+                });
+        },
+
+        /**
+         * Remove the shared entries from browser.storage.sync, freeing the quota for settings
+         * @returns {Promise<void>}
+         */
+        clear() {
+            clearTimeout(RatingSync.uploadTimeout);
+            RatingSync.uploadTimeout = null;
+            return browser.storage.sync.get(null)
+                .then(stored => browser.storage.sync.remove(Object.keys(stored).filter(RatingSync.isOwnItem)))
+                .catch(error => {
+                    Logger.warn('Could not remove shared cached ratings:', error);
+                });
+        },
+
+        /**
+         * Start or stop sharing
+         * @param {boolean} enabled - Value of the syncRatingCache setting
+         */
+        setEnabled(enabled) {
+            if (enabled) {
+                RatingSync.download().then(RatingSync.upload);
+            } else {
+                RatingSync.clear();
+            }
+        }
+    };
+
+    /**
+     * Send resolved results to every tab that asked for them
+     * @param {string} type - Message type
+     * @param {number[]} tabIds - Tabs waiting for these results
+     * @param {Object} results - Key -> result
+     */
+    function sendResults(type, tabIds, results) {
+        tabIds.forEach(tabId => {
+            browser.tabs.sendMessage(tabId, { type, results }).catch(() => {
+                // Tab was closed or navigated away; nothing to do
+            });
+        });
+    }
+
+    /**
+     * Endpoint configured for an external provider
+     * @param {string} provider - Provider name
+     * @returns {string} - Endpoint URL
+     */
+    function getProviderEndpoint(provider) {
+        return provider === 'mal' ? settings.malEndpoint : settings.anilistEndpoint;
+    }
+
+    /**
+     * (Re)build the resolvers from the current settings; keys still queued move to the new resolvers,
+     * since content scripts ask for every series only once
+     */
+    function createResolversFromSettings() {
+        const previousResolver = resolver;
+        const previousExternalResolver = externalResolver;
+        const api = CrunchyrollApi.create({
+            baseUrl: settings.apiBaseUrl,
+            clientId: settings.apiClientId,
+            http: httpRequest
+        });
+        resolver = createBatchResolver({
+            resolveItem: seriesId => api.getSeriesRating(seriesId),
+            batchSize: settings.fetchBatchSize,
+            batchInterval: settings.fetchBatchInterval,
+            onResults: (tabIds, ratings) => sendResults('ratingsResolved', tabIds, ratings)
+        });
+
+        // External lookups are keyed by "provider:normalized title" so every tab shares them
+        externalResolver = createBatchResolver({
+            resolveItem: cacheKey => {
+                const [provider, ...rest] = cacheKey.split(':');
+                const title = externalTitles.get(cacheKey) || rest.join(':');
+                return ExternalProviders.lookup(provider, title, {
+                    endpoint: getProviderEndpoint(provider),
+                    http: httpRequest
+                }).then(match => {
+                    ExternalCache.set(cacheKey, match);
+                    return match;
+                });
+            },
+            batchSize: EXTERNAL_BATCH_SIZE,
+            batchInterval: EXTERNAL_BATCH_INTERVAL,
+            onResults: (tabIds, matches) => sendResults('externalScoresResolved', tabIds, matches)
+        });
+
+        carryOverQueue(previousResolver, resolver);
+        carryOverQueue(previousExternalResolver, externalResolver);
+    }
+
+    /**
+     * Answer cached external scores right away and queue lookups for the rest
+     * @param {Object[]} items - { title } entries from a content script
+     * @param {number} tabId - Requesting tab
+     * @returns {Promise<Object>} - { provider, results: cache key -> match, queued }
+     */
+    function resolveExternalScores(items, tabId) {
+        const provider = settings.externalProvider;
+        if (!ExternalProviders.PROVIDERS[provider]) {
+            return Promise.resolve({ provider, results: {}, queued: 0 });
+        }
+
+        return ExternalCache.load().then(() => {
+            const results = {};
+            const missing = [];
+            items.forEach(({ title }) => {
+                const cacheKey = ExternalCache.keyFor(provider, title);
+                const cached = ExternalCache.get(cacheKey);
+                if (cached) {
+                    if (!cached.miss) {
+                        results[cacheKey] = cached;
+                    }
+                } else if (title) {
+                    externalTitles.set(cacheKey, title);
+                    missing.push(cacheKey);
+                }
+            });
+            const queued = missing.length > 0 ? externalResolver.request(missing, tabId) : 0;
+            return { provider, results, queued };
+        });
+    }
+
+    browser.runtime.onMessage.addListener((message, sender) => {
+        if (message.type === 'resolveRatings' && sender.tab) {
+            if (!settings.fetchMissingRatings || !Array.isArray(message.seriesIds)) {
+                return Promise.resolve({ queued: 0 });
+            }
+            const queued = resolver.request(message.seriesIds, sender.tab.id);
+            return Promise.resolve({ queued });
+        }
+        if (message.type === 'resolveExternalScores' && sender.tab && Array.isArray(message.items)) {
+            return resolveExternalScores(message.items, sender.tab.id);
+        }
+        return undefined;
+    });
+
+    // Keyboard shortcuts: run the command in the active tab's content script
+    browser.commands.onCommand.addListener(command => {
+        browser.tabs.query({ active: true, currentWindow: true })
+            .then(([tab]) => tab && browser.tabs.sendMessage(tab.id, { type: 'runCommand', command }))
+            .catch(() => {
+                // Not a Crunchyroll tab; nothing to do
+            });
+    });
+
+    /**
+     * Give the manifest commands the shortcuts chosen in the settings
+     * @param {Object} values - Settings holding shortcuts (complete or changed ones)
+     */
+    function applyShortcuts(values) {
+        Object.entries(CRSettings.COMMANDS).forEach(([name, key]) => {
+            if (key in values) {
+                browser.commands.update({ name, shortcut: values[key] }).catch(error => {
+                    Logger.warn(`Could not set shortcut "${values[key]}" for ${name}:`, error.message);
+                });
+            }
+        });
+    }
+
+    /**
+     * Apply settings changed from the options page
+     * @param {Object} changed - Changed settings (normalized)
+     */
+    function handleSettingsChange(changed) {
+        settings = { ...settings, ...changed };
+        const resolverKeys = ['apiBaseUrl', 'apiClientId', 'fetchBatchSize', 'fetchBatchInterval', 'anilistEndpoint', 'malEndpoint'];
+        if (resolverKeys.some(key => key in changed)) {
+            createResolversFromSettings();
+        }
+        applyShortcuts(changed);
+        if ('syncRatingCache' in changed) {
+            RatingSync.setEnabled(changed.syncRatingCache);
+        }
+    }
+
+    browser.storage.onChanged.addListener((changes, area) => {
+        const externalChange = changes[CRSettings.STORAGE_KEYS.externalCache];
+        if (area === 'local' && externalChange) {
+            if (!externalChange.newValue) {
+                ExternalCache.entries = new Map(); // Cleared from the options page
+            } else {
+                ExternalCache.merge(externalChange.newValue);
+            }
+        }
+        if (area === 'local' && changes[CRSettings.STORAGE_KEYS.ratingCache]) {
+            RatingSync.scheduleUpload();
+        }
+        if (area === 'sync' && Object.keys(changes).some(RatingSync.isOwnItem)) {
+            RatingSync.scheduleDownload();
+        }
+    });
+
+    createResolversFromSettings();
+    CRSettings.load()
+        .then(loaded => {
+            settings = loaded;
+            createResolversFromSettings();
+            applyShortcuts(settings);
+            if (settings.syncRatingCache) {
+                RatingSync.setEnabled(true);
+            }
+        })
+        .catch(error => {
+            Logger.warn('Could not load settings, using defaults:', error);
+        })
+        .then(() => {
+            CRSettings.onChange(handleSettingsChange);
+        });
+})();
@@ -0,0 +1,316 @@
+// Firefox Crunchyroll Rating Helper Backup
+// Versioned JSON export/import of settings (including rules and selector overrides) and cached data
+
+const CRBackup = (function() {
+    'use strict';
+
+    const FORMAT = 'crunchyroll-rating-helper-backup';
+    // Bump when the file layout changes and add a migration from the previous version
+    const VERSION = 1;
+
+    // Version -> function upgrading a backup of that version to the next one
+    const MIGRATIONS = {
+        // Version 0: a plain copy of the extension's storage, as shown by the add-on storage inspector, with the
+        // settings (long ones still split into chunks) and the local storage keys side by side
+        0: dump => {
+            const settings = {};
+            Object.keys(CRSettings.SCHEMA).forEach(key => {
+                const value = CRSettings.readChunked(dump, key);
+                if (value !== undefined) {
+                    settings[key] = value;
+                }
+            });
+            const backup = { format: FORMAT, createdAt: null };
+            if (Object.keys(settings).length > 0) {
+                backup.settings = settings;
+            }
+            PARTS.filter(part => part !== 'settings' && dump[CRSettings.STORAGE_KEYS[part]] !== undefined).forEach(part => {
+                backup[part] = dump[CRSettings.STORAGE_KEYS[part]];
+            });
+            return backup;
+        }
+    };
+
+    // Parts a backup can hold, in the order they are listed on the options page
+    const PARTS = ['settings', 'ratingCache', 'ratingHistory', 'externalCache'];
+
+    // Crunchyroll series IDs, e.g. "GRDV0019R"
+    const SERIES_ID_PATTERN = /^[A-Z0-9]+$/;
+
+    /**
+     * Error for a file that can't be imported
+     * @param {string} message - What is wrong with the file
+     * @returns {Error} - Error with name BackupError
+     */
+    function backupError(message) {
+        const error = new Error(message);
+        error.name = 'BackupError';
+        return error;
+    }
+
+    /**
+     * Whether a value is a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} - True for non-null, non-array objects
+     */
+    function isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Build a backup from the data read from storage
+     * @param {Object} parts - Any of settings, ratingCache, ratingHistory, externalCache
+     * @returns {Object} - Backup object, ready for JSON.stringify
+     */
+    function create(parts) {
+        const backup = { format: FORMAT, version: VERSION, createdAt: new Date().toISOString() };
+        PARTS.forEach(part => {
+            if (parts[part] !== undefined) {
+                backup[part] = parts[part];
+            }
+        });
+        return backup;
+    }
+
+    /**
+     * Version of a parsed file: its version field, or 0 for a storage copy without format and version
+     * @param {Object} raw - Parsed file
+     * @returns {number} - Version
+     */
+    function detectVersion(raw) {
+        if (raw.format === undefined && raw.version === undefined) {
+            const knownKeys = [...Object.keys(CRSettings.SCHEMA), ...Object.values(CRSettings.STORAGE_KEYS)];
+            if (Object.keys(raw).some(key => knownKeys.includes(key))) {
+                return 0;
+            }
+        }
+        if (raw.format !== FORMAT) {
+            throw backupError('Not a Crunchyroll Rating Helper backup');
+        }
+        if (!Number.isInteger(raw.version) || raw.version < 1) {
+            throw backupError('Backup has no valid version');
+        }
+        return raw.version;
+    }
+
+    /**
+     * Upgrade a backup written by an older version of the extension
+     * @param {Object} backup - Parsed backup
+     * @param {number} version - Version of the backup
+     * @returns {Object} - Backup in the current version
+     */
+    function migrate(backup, version) {
+        let current = backup;
+        for (let from = version; from < VERSION; from++) {
+            const upgrade = MIGRATIONS[from];
+            if (!upgrade) {
+                throw backupError(`No migration from backup version ${from}`);
+            }
+            current = { ...upgrade(current), version: from + 1 };
+        }
+        return current;
+    }
+
+    /**
+     * Check the settings of a backup against the schema
+     * @param {*} raw - Settings from the file
+     * @param {string[]} warnings - Collects problems that were fixed or skipped
+     * @returns {Object} - Valid settings (unknown keys dropped, invalid values reset to their default)
+     */
+    function validateSettings(raw, warnings) {
+        if (!isObject(raw)) {
+            warnings.push('Settings are not an object and were skipped');
+            return {};
+        }
+        const unknown = Object.keys(raw).filter(key => !CRSettings.SCHEMA[key]);
+        if (unknown.length > 0) {
+            warnings.push(`Unknown settings ignored: ${unknown.join(', ')}`);
+        }
+        const values = CRSettings.normalize(raw, false);
+        Object.keys(values).forEach(key => {
+            if (JSON.stringify(values[key]) !== JSON.stringify(raw[key])) {
+                warnings.push(`Setting "${key}" was invalid and set to ${JSON.stringify(values[key])}`);
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Keep the entries of a cached part that pass a check
+     * @param {*} raw - Part from the file
+     * @param {string} label - Name used in warnings
+     * @param {Function} isValid - (key, entry) -> whether to keep the entry
+     * @param {string[]} warnings - Collects problems that were fixed or skipped
+     * @returns {Object} - Valid entries
+     */
+    function validateEntries(raw, label, isValid, warnings) {
+        if (!isObject(raw)) {
+            warnings.push(`${label} is not an object and was skipped`);
+            return {};
+        }
+        const valid = {};
+        let skipped = 0;
+        Object.entries(raw).forEach(([key, entry]) => {
+            if (isObject(entry) && isValid(key, entry)) {
+                valid[key] = entry;
+            } else {
+                skipped++;
+            }
+        });
+        if (skipped > 0) {
+            warnings.push(`${label}: ${skipped} invalid ${skipped === 1 ? 'entry' : 'entries'} skipped`);
+        }
+        return valid;
+    }
+
+    // Entry checks per cached part
+    const ENTRY_CHECKS = {
+        ratingCache: {
+            label: 'Cached ratings',
+            isValid: (seriesId, entry) => SERIES_ID_PATTERN.test(seriesId) &&
+                typeof entry.rating === 'number' && entry.rating > 0 && entry.rating <= 5 &&
+                Number.isFinite(entry.votes) && entry.votes >= 0 && Number.isFinite(entry.updatedAt) &&
+                typeof entry.votesText === 'string' && typeof entry.title === 'string'
+        },
+        ratingHistory: {
+            label: 'Rating history',
+            isValid: (seriesId, entry) => SERIES_ID_PATTERN.test(seriesId) && typeof entry.title === 'string' &&
+                Array.isArray(entry.points) &&
+                entry.points.every(point => Array.isArray(point) && point.length === 3 && point.every(Number.isFinite))
+        },
+        externalCache: {
+            label: 'Matched scores',
+            isValid: (key, entry) => /^[a-z]+:/.test(key) && Number.isFinite(entry.updatedAt) &&
+                (entry.miss === true || (Number.isFinite(entry.score) && typeof entry.matchedTitle === 'string'))
+        }
+    };
+
+    /**
+     * Parse and check a backup file, upgrading older versions
+     * @param {string|Object} input - File contents or parsed JSON
+     * @returns {Object} - { backup, warnings, counts } where counts holds the number of entries per part
+     */
+    function validate(input) {
+        let raw = input;
+        if (typeof input === 'string') {
+            try {
+                raw = JSON.parse(input);
+            } catch (error) {
+                throw backupError('Not a JSON file');
+            }
+        }
+        if (!isObject(raw)) {
+            throw backupError('Not a Crunchyroll Rating Helper backup');
+        }
+        const version = detectVersion(raw);
+        if (version > VERSION) {
+            throw backupError(`Backup version ${version} is newer than this extension supports (${VERSION}), update the extension first`);
+        }
+
+        const migrated = migrate(raw, version);
+        const warnings = [];
+        const backup = { format: FORMAT, version: VERSION, createdAt: migrated.createdAt };
+        const counts = {};
+        if (migrated.settings !== undefined) {
+            backup.settings = validateSettings(migrated.settings, warnings);
+            counts.settings = Object.keys(backup.settings).length;
+        }
+        Object.entries(ENTRY_CHECKS).forEach(([part, { label, isValid }]) => {
+            if (migrated[part] !== undefined) {
+                backup[part] = validateEntries(migrated[part], label, isValid, warnings);
+                counts[part] = Object.keys(backup[part]).length;
+            }
+        });
+        if (Object.keys(counts).length === 0) {
+            throw backupError('Backup contains no data');
+        }
+        return { backup, warnings, counts };
+    }
+
+    /**
+     * Merge imported cache entries into stored ones, keeping the more recently updated entry per key
+     * @param {Object} stored - Entries in storage
+     * @param {Object} imported - Entries from the backup
+     * @returns {Object} - Merged entries
+     */
+    function mergeNewest(stored, imported) {
+        const merged = { ...stored };
+        Object.entries(imported).forEach(([key, entry]) => {
+            if (!merged[key] || !(merged[key].updatedAt >= entry.updatedAt)) {
+                merged[key] = entry;
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Merge imported rating histories into stored ones, joining the points both recorded
+     * @param {Object} stored - Series ID -> { title, points } in storage
+     * @param {Object} imported - Series ID -> { title, points } from the backup
+     * @returns {Object} - Merged histories
+     */
+    function mergeHistory(stored, imported) {
+        const merged = { ...stored };
+        Object.entries(imported).forEach(([seriesId, entry]) => {
+            const current = merged[seriesId];
+            if (!current || !Array.isArray(current.points)) {
+                merged[seriesId] = entry;
+                return;
+            }
+            const known = new Set(current.points.map(point => point[0]));
+            merged[seriesId] = {
+                title: current.title || entry.title || '',
+                points: [...current.points, ...entry.points.filter(point => !known.has(point[0]))].sort((a, b) => a[0] - b[0])
+            };
+        });
+        return merged;
+    }
+
+    /**
+     * Replace the current settings with a backup's, defaults standing in for settings it doesn't hold. Written
+     * in one save of only the settings that differ, so open tabs never see the defaults in between.
+     * @param {Object} values - Validated settings from the backup
+     * @returns {Promise<void>}
+     */
+    function restoreSettings(values) {
+        const replacement = { ...CRSettings.defaults(), ...values };
+        return CRSettings.load().then(current => {
+            const changed = {};
+            Object.keys(replacement).forEach(key => {
+                if (JSON.stringify(replacement[key]) !== JSON.stringify(current[key])) {
+                    changed[key] = replacement[key];
+                }
+            });
+            return Object.keys(changed).length > 0 ? CRSettings.save(changed) : undefined;
+        });
+    }
+
+    /**
+     * Write a validated backup to storage: settings replace the current ones, cached data is merged
+     * @param {Object} backup - Backup returned by validate()
+     * @param {string[]} parts - Parts to restore
+     * @returns {Promise<void>}
+     */
+    function restore(backup, parts) {
+        const chosen = parts.filter(part => backup[part] !== undefined);
+        const cacheParts = chosen.filter(part => part !== 'settings');
+        const keys = cacheParts.map(part => CRSettings.STORAGE_KEYS[part]);
+
+        const settingsDone = chosen.includes('settings') ? restoreSettings(backup.settings) : Promise.resolve();
+
+        return settingsDone
+            .then(() => (keys.length > 0 ? browser.storage.local.get(keys) : {}))
+            .then(stored => {
+                const items = {};
+                cacheParts.forEach(part => {
+                    const key = CRSettings.STORAGE_KEYS[part];
+                    items[key] = part === 'ratingHistory' ?
+                        mergeHistory(stored[key] || {}, backup[part]) :
+                        mergeNewest(stored[key] || {}, backup[part]);
+                });
+                return keys.length > 0 ? browser.storage.local.set(items) : undefined;
+            });
+    }
+
+    return { FORMAT, VERSION, PARTS, create, validate, restore };
+})();
@@ -0,0 +1,143 @@
+// Firefox Crunchyroll Rating Helper Benchmark
+// Builds a 2,000-card page (carousels plus a browse grid that grows like infinite scroll) and measures
+// how long the content script takes to annotate and sort it, and the longest frame while it does.
+// Open bench/index.html in Firefox; results appear on the page and in the console.
+
+(function() {
+    'use strict';
+
+    const CAROUSELS = 20;
+    const CAROUSEL_CARDS = 25;
+    const GRID_BATCHES = 15;
+    const GRID_BATCH_SIZE = 100; // 500 carousel cards + 1,500 grid cards
+    const UNRATED_SHARE = 0.05;
+    const WAIT_TIMEOUT = 20000;
+    const LONG_FRAME = 50; // ms
+
+    let seed = 42;
+    let nextId = 0;
+
+    /**
+     * Deterministic pseudo-random number, so every run measures the same page
+     * @returns {number} - 0 (inclusive) to 1 (exclusive)
+     */
+    function random() {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    }
+
+    /**
+     * Markup of one card the way Crunchyroll renders it
+     * @returns {string} - Card HTML
+     */
+    function cardHtml() {
+        const id = `B${String(nextId++).padStart(8, '0')}`;
+        const rated = random() >= UNRATED_SHARE;
+        const rating = (3 + random() * 2).toFixed(1);
+        const votes = Math.round(random() * 50000);
+        const ratingHtml = rated ?
+            `<div class="star-rating-short-static__rating--bdAfR">${rating}</div>` +
+            `<div class="star-rating-short-static__votes-count--h9Sun">(${votes})</div>` : '';
+        return `<div class="browse-card--esJdT"><h4><a class="browse-card__title-link--SLlRM" href="/series/${id}/bench">` +
+            `Series ${id}</a></h4><div class="browse-card-hover">${ratingHtml}</div></div>`;
+    }
+
+    const fixture = document.getElementById('fixture');
+    for (let i = 0; i < CAROUSELS; i++) {
+        const cards = Array.from({ length: CAROUSEL_CARDS }, () => `<div class="carousel-scroller__card--4Lrk-">${cardHtml()}</div>`);
+        fixture.insertAdjacentHTML('beforeend', `<section><h2>Row ${i + 1}</h2><div class="carousel-scroller__track--43f0L">${cards.join('')}</div></section>`);
+    }
+    fixture.insertAdjacentHTML('beforeend', '<div class="erc-browse-cards-collection"></div>');
+    const grid = fixture.querySelector('.erc-browse-cards-collection');
+
+    // Longest gap between animation frames while the benchmark runs
+    const frames = { longest: 0, long: 0, running: true };
+    let lastFrame = performance.now();
+    const watchFrames = now => {
+        const gap = now - lastFrame;
+        lastFrame = now;
+        frames.longest = Math.max(frames.longest, gap);
+        if (gap > LONG_FRAME) {
+            frames.long++;
+        }
+        if (frames.running) {
+            requestAnimationFrame(watchFrames);
+        }
+    };
+    requestAnimationFrame(watchFrames);
+
+    /**
+     * Resolve once a condition holds, checking every animation frame
+     * @param {Function} condition - Returns true when done
+     * @returns {Promise<number>} - Milliseconds waited
+     */
+    function waitFor(condition) {
+        const start = performance.now();
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                if (condition()) {
+                    resolve(performance.now() - start);
+                } else if (performance.now() - start > WAIT_TIMEOUT) {
+                    reject(new Error('Timed out waiting for the content script'));
+                } else {
+                    requestAnimationFrame(check);
+                }
+            };
+            check();
+        });
+    }
+
+    /**
+     * Whether every rated card in the containers has a rating badge and each container is in rating order
+     * @param {Element[]} containers - Carousel tracks or the grid
+     * @returns {boolean} - Whether the content script is done with them
+     */
+    function isDone(containers) {
+        return containers.every(container => {
+            const cards = Array.from(container.querySelectorAll('.browse-card--esJdT'));
+            const rated = cards.filter(card => card.querySelector('.star-rating-short-static__rating--bdAfR'));
+            const ratings = rated.map(card => parseFloat(card.querySelector('.star-rating-short-static__rating--bdAfR').textContent));
+            return rated.every(card => card.querySelector('.crh-rating-badge-host')) &&
+                ratings.every((rating, index) => index === 0 || ratings[index - 1] >= rating);
+        });
+    }
+
+    /**
+     * Show the measurements
+     * @param {Object[]} rows - { step, cards, ms }
+     */
+    function report(rows) {
+        const lines = rows.map(row => `${row.step.padEnd(18)} ${String(row.cards).padStart(5)} cards  ${row.ms.toFixed(0).padStart(6)} ms`);
+        lines.push('', `Longest frame: ${frames.longest.toFixed(0)} ms, frames over ${LONG_FRAME} ms: ${frames.long}`);
+        document.getElementById('results').textContent = lines.join('\n');
+        console.table(rows);
+        console.log(`Longest frame: ${frames.longest.toFixed(0)} ms, frames over ${LONG_FRAME} ms: ${frames.long}`);
+    }
+
+    window.addEventListener('load', () => {
+        const rows = [];
+        waitFor(() => isDone(Array.from(fixture.querySelectorAll('.carousel-scroller__track--43f0L'))))
+            .then(ms => {
+                rows.push({ step: 'Initial carousels', cards: CAROUSELS * CAROUSEL_CARDS, ms });
+                let chain = Promise.resolve();
+                for (let batch = 1; batch <= GRID_BATCHES; batch++) {
+                    chain = chain.then(() => {
+                        grid.insertAdjacentHTML('beforeend', Array.from({ length: GRID_BATCH_SIZE },
+                            () => `<div class="browse-card">${cardHtml()}</div>`).join(''));
+                        return waitFor(() => isDone([grid]));
+                    }).then(ms => {
+                        rows.push({ step: `Grid batch ${batch}`, cards: CAROUSELS * CAROUSEL_CARDS + batch * GRID_BATCH_SIZE, ms });
+                    });
+                }
+                return chain;
+            })
+            .catch(error => {
+                rows.push({ step: error.message, cards: document.querySelectorAll('.browse-card--esJdT').length, ms: 0 });
+            })
+            .then(() => {
+                frames.running = false;
+                report(rows);
+                window.benchResults = { rows, frames };
+            });
+    });
+})();
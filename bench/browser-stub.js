@@ -0,0 +1,59 @@
+// Firefox Crunchyroll Rating Helper Benchmark - stand-in for the extension APIs the content script uses,
+// so content.js can run in a plain page: in-memory storage, no background script
+
+(function() {
+    'use strict';
+
+    const storageListeners = [];
+
+    /**
+     * In-memory storage area with the browser.storage promise API
+     * @param {string} areaName - 'sync' or 'local'
+     * @returns {Object} - Storage area
+     */
+    function createStorageArea(areaName) {
+        const data = {};
+        const notify = changes => storageListeners.forEach(listener => listener(changes, areaName));
+        return {
+            get(keys) {
+                const result = {};
+                const defaults = keys && typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+                const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(defaults);
+                names.forEach(key => {
+                    result[key] = key in data ? JSON.parse(JSON.stringify(data[key])) : defaults[key];
+                });
+                return Promise.resolve(result);
+            },
+            set(values) {
+                const changes = {};
+                Object.entries(values).forEach(([key, value]) => {
+                    changes[key] = { oldValue: data[key], newValue: value };
+                    data[key] = JSON.parse(JSON.stringify(value));
+                });
+                setTimeout(() => notify(changes), 0);
+                return Promise.resolve();
+            },
+            remove(keys) {
+                const changes = {};
+                [].concat(keys).forEach(key => {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                });
+                setTimeout(() => notify(changes), 0);
+                return Promise.resolve();
+            }
+        };
+    }
+
+    window.browser = {
+        storage: {
+            sync: createStorageArea('sync'),
+            local: createStorageArea('local'),
+            onChanged: { addListener: listener => storageListeners.push(listener) }
+        },
+        runtime: {
+            onMessage: { addListener() {} },
+            sendMessage: () => Promise.resolve({ queued: 0 })
+        }
+    };
+})();
@@ -4,37 +4,61 @@
 (function() {
     'use strict';
 
-    // Configuration
-    const CONFIG = {
-        DEBUG_MODE: false, // Set to false for production
-        MAX_RETRIES: 5,
-        DEBOUNCE_DELAY: 100,
-        SORT_DELAY: 100,
-        PERFORMANCE_MONITOR: true
-    };
+    // Live settings, loaded from browser.storage.sync (see settings.js)
+    let settings = CRSettings.defaults();
+    // Settings switched from the toolbar popup for this tab only, until the same setting is changed for all tabs
+    const tabOverrides = {};
+    // Settings the popup may switch per tab
+    const TAB_SETTINGS = ['sortEnabled', 'injectRatings'];
+    // Best rated series listed in the popup
+    const TOP_TITLE_COUNT = 10;
+    // A shortcut reaches us both as a manifest command and as a key press; the same command within this many ms runs once
+    const COMMAND_DEDUPE_WINDOW = 500;
+    const TOAST_DURATION = 2000;
+    // Cards moving to their new places animate for this many ms
+    const REORDER_ANIMATION_DURATION = 250;
+    // A reorder put off while the user was in a container runs this many ms after they leave it
+    const INTERACTION_RESUME_DELAY = 400;
+    // Latest errors kept for the diagnostics overlay and report
+    const MAX_RECENT_ERRORS = 20;
+    const recentErrors = []; // { at, message }
 
-    // Enhanced logging system
+    // Enhanced logging system (debug output follows the live debugMode setting)
     const Logger = {
-        log: CONFIG.DEBUG_MODE ? console.log.bind(console, '🎯 CR Helper:') : () => {},
-        debug: CONFIG.DEBUG_MODE ? console.log.bind(console, '🔍 CR Debug:') : () => {},
+        log: (...args) => {
+            if (settings.debugMode) console.log('🎯 CR Helper:', ...args);
+        },
+        debug: (...args) => {
+            if (settings.debugMode) console.log('🔍 CR Debug:', ...args);
+        },
         info: console.info.bind(console, 'ℹ️ CR Info:'),
         warn: console.warn.bind(console, '⚠️ CR Warning:'),
-        error: console.error.bind(console, '❌ CR Error:'),
+        error: (...args) => {
+            recentErrors.push({
+                at: Date.now(),
+                message: args.map(arg => arg instanceof Error ? arg.message : String(arg)).join(' ')
+            });
+            recentErrors.splice(0, recentErrors.length - MAX_RECENT_ERRORS);
+            console.error('❌ CR Error:', ...args);
+        },
         success: console.log.bind(console, '✅ CR Success:')
     };
 
     // Performance monitoring
     const Performance = {
+        enabled: true,
         timers: new Map(),
+        last: new Map(), // Label -> duration of its latest run, for diagnostics
         start: (label) => {
-            if (CONFIG.PERFORMANCE_MONITOR) {
+            if (Performance.enabled) {
                 Performance.timers.set(label, performance.now());
             }
         },
         end: (label) => {
-            if (CONFIG.PERFORMANCE_MONITOR && Performance.timers.has(label)) {
+            if (Performance.enabled && Performance.timers.has(label)) {
                 const duration = performance.now() - Performance.timers.get(label);
                 Performance.timers.delete(label);
+                Performance.last.set(label, duration);
                 if (duration > 10) { // Only log if > 10ms
                     Logger.debug(`${label} took ${duration.toFixed(2)}ms`);
                 }
@@ -43,16 +67,70 @@
         }
     };
 
-    // State management
-    const processedCards = new WeakSet();
-    const processedContainers = new WeakSet();
-    const containersNeedingSort = new WeakSet(); // Track containers that need re-sorting
+    // State management (the `let` ones are per page and reset on SPA navigation, see resetPageState)
+    let processedCards = new WeakSet();
+    let processedContainers = new WeakSet();
+    let containersNeedingSort = new WeakSet(); // Track containers that need re-sorting
+    const ratingBadges = new WeakMap(); // Card -> { host, parts, key } of its rating badge
+    let pageMeanRating = null; // Cached mean of all ratings on the page (reset when new ratings appear)
+    const originalOrders = new WeakMap(); // Container -> its cards in Crunchyroll's own order
+    let containerSortModes = new WeakMap(); // Container -> sort mode chosen from its toolbar
+    let cycledSortMode = null; // Sort mode picked with the cycle shortcut, for the current page only
+    const containerTypes = new WeakMap(); // Container -> 'carousel', 'browse', or 'generic'
+    const containerTiers = new WeakMap(); // Container -> how detectAllContainers found it ('primary', 'fallback' or 'structure')
+    const sortToolbars = new WeakMap(); // Container -> injected sort toolbar element
+    const reorderedContainers = new WeakSet(); // Containers currently not in Crunchyroll's order
+    const filteredCounts = new WeakMap(); // Container -> number of cards hidden/dimmed by the filter
+    let revealedContainers = new WeakSet(); // Containers whose filtered cards the user chose to show
+    const listSummaries = new WeakMap(); // Watchlist/Crunchylist container -> { count, average, unrated }
+    const fetchedRatings = new Map(); // Series ID -> rating resolved by the background script
+    const requestedSeries = new Set(); // Series IDs already sent to the background script
+    const externalScores = new Map(); // "provider:normalized title" -> AniList/MAL match { score, url, ... }
+    const requestedExternal = new Set(); // External score keys already sent to the background script
+    let pageRegistry = new Map(); // Series ID (or title) -> { card, container, row } of every card seen on this page, for export
+    let cardCache = new WeakMap(); // Card -> { ratingData, seriesId, title, tags } read from it, dropped when its content changes
+    let knownContainers = new Map(); // Container -> type ('carousel', 'browse', 'list', 'search', 'calendar' or a fallback type), in page order
+    let containersDirty = true; // Whether containers must be detected again (e.g. a card appeared outside every known one)
+    let pendingCards = new Set(); // Cards added or changed since the last incremental pass
+
+    // Sort modes offered by the in-page toolbar ('original' restores Crunchyroll's order)
+    const SORT_MODES = {
+        original: 'Crunchyroll order',
+        rating: 'Rating',
+        weighted: 'Weighted score',
+        votes: 'Votes',
+        title: 'Title A–Z',
+        titleDesc: 'Title Z–A',
+        external: 'AniList / MAL score'
+    };
+
+    // What each kind of page sorts. `containers` lists the container types sorted by default and
+    // `sortMode` the default order there (null follows the Sort by setting). A sort menu choice
+    // remembered for the page type still wins, and every container keeps its sort menu.
+    const ROUTE_PROFILES = {
+        home: { containers: ['carousel', 'browse', 'generic'], sortMode: null },
+        browse: { containers: ['browse', 'carousel', 'generic'], sortMode: null },
+        simulcasts: { containers: ['browse', 'generic'], sortMode: null }, // Season grid
+        search: { containers: ['search', 'browse', 'generic'], sortMode: 'original' }, // Keep relevance order
+        calendar: { containers: ['calendar'], sortMode: 'original' }, // Keep each day in release time order
+        watchlist: { containers: ['list', 'browse', 'generic'], sortMode: 'original' }, // Keep the user's own order
+        series: { containers: ['carousel'], sortMode: null }, // "More like this" recommendations
+        watch: { containers: [], sortMode: null },
+        other: { containers: ['carousel', 'browse', 'generic'], sortMode: null }
+    };
+    let lastCommand = { name: null, at: 0 };
+    let toastTimeout = null;
     let debounceTimeout = null;
+    let incrementalTimeout = null;
+    let sortTimeout = null;
+    let periodicInterval = null;
     let observer = null;
     let retryCount = 0;
     let hasFoundCards = false;
 
-    // Enhanced selector system with fallbacks for maximum compatibility
+    // Enhanced selector system with fallbacks for maximum compatibility.
+    // The single-role selectors are starting points: SelectorEngine replaces them at runtime
+    // when Crunchyroll rehashes its class names or the user overrides them in settings.
     const SELECTORS = {
         // Card types (in order of preference)
         innerCard: '.browse-card--esJdT',
@@ -76,6 +154,37 @@
         carouselContainer: '.carousel-scroller__track--43f0L',
         browseContainer: '.erc-browse-cards-collection',
         
+        // Watchlist and Crunchylist layouts. Their cards show no rating markup, so ratings come from
+        // the cache or the background script. Hashes differ per list type, hence prefix matches.
+        listContainer: '.erc-watchlist-collection, .erc-crunchylist-collection',
+        listCard: '[class*="watchlist-card--"], [class*="crunchylist-card--"]',
+        listTitle: '[class*="watchlist-card__title"], [class*="crunchylist-card__title"]',
+        
+        // Search page results: series hits use their own card layout (episode hits are left alone), and the
+        // results are re-rendered while the query is typed
+        searchContainer: '[class*="search-results-collection"], [class*="search-series-collection"]',
+        searchCard: '[class*="search-show-card--"], [class*="search-series-card--"]',
+        searchTitle: '[class*="search-show-card__title"], [class*="search-series-card__title"]',
+        
+        // Series page episode lists (one per season) and the series link in the watch page header
+        episodeList: '.erc-playable-collection',
+        episodeCard: '[class*="playable-card--"]',
+        episodeLikes: '[class*="likes-count"]',
+        watchSeriesLink: '.show-title-link',
+        
+        // Watch progress bar on cards of series the user has started
+        watchProgress: '[class*="progress-bar__progress"]',
+        
+        // Simulcast calendar: one release list per day under its date. Entries link to their series by ID,
+        // or only by name in older markup (then the ID comes from a cached series with the same title)
+        calendarDay: '.day .releases',
+        calendarEntry: '.releases > li',
+        calendarTitle: '.season-name a',
+        calendarDate: '.day-date',
+        
+        // Labels on cards such as "Simulcast", "Dub" or "New" (our own badge is excluded separately)
+        cardTags: '[class*="card-tag"], [class*="__tag"], [class*="tag--"], [class*="badge"]',
+        
         // Fallback container selectors
         containerFallbacks: [
             '.carousel-scroller__track--43f0L',
@@ -86,6 +195,288 @@
         ]
     };
 
+    // Text of a rating ("4.6") and of a vote count ("(121.4k)") as Crunchyroll shows them
+    // (in any UI language, e.g. "4,6" / "(1,2 k)" / "(١٢٫٣ ألف)")
+    const RATING_TEXT_PATTERN = /^\p{Nd}(?:[.,\u066B]\p{Nd}{1,2})?$/u;
+    const VOTES_TEXT_PATTERN = /^\(\p{Nd}[\p{Nd}.,\u066B\u066C\s]*\p{L}{0,6}\.?\)$/u;
+    // Heuristic scans walk the whole page, so they run at most this often
+    const HEURISTIC_INTERVAL = 3000;
+
+    // Keeps SELECTORS working across Crunchyroll deploys. Each role is resolved by the first
+    // strategy that matches something on the page: a user override, the known hashed class,
+    // the class-name prefix without its hash, or a structural heuristic.
+    const SelectorEngine = {
+        // Resolution order matters: heuristics for cards build on the resolved title selector
+        ROLES: {
+            title: { exact: '.browse-card__title-link--SLlRM', heuristic: () => findTitleElements() },
+            rating: { exact: '.star-rating-short-static__rating--bdAfR', heuristic: () => findRatingElements() },
+            votes: { exact: '.star-rating-short-static__votes-count--h9Sun', heuristic: () => findLeafElements(VOTES_TEXT_PATTERN) },
+            innerCard: { exact: '.browse-card--esJdT', heuristic: () => findCardElements() },
+            carouselCard: { exact: '.carousel-scroller__card--4Lrk-' },
+            browseCard: { exact: '.browse-card' },
+            carouselContainer: { exact: '.carousel-scroller__track--43f0L' },
+            browseContainer: { exact: '.erc-browse-cards-collection' },
+            listContainer: { exact: '.erc-watchlist-collection, .erc-crunchylist-collection' },
+            listCard: { exact: '[class*="watchlist-card--"], [class*="crunchylist-card--"]' },
+            listTitle: { exact: '[class*="watchlist-card__title"], [class*="crunchylist-card__title"]' },
+            searchContainer: { exact: '[class*="search-results-collection"], [class*="search-series-collection"]' },
+            searchCard: { exact: '[class*="search-show-card--"], [class*="search-series-card--"]' },
+            searchTitle: { exact: '[class*="search-show-card__title"], [class*="search-series-card__title"]' },
+            episodeList: { exact: '.erc-playable-collection' },
+            episodeCard: { exact: '[class*="playable-card--"]' },
+            episodeLikes: { exact: '[class*="likes-count"]' },
+            watchSeriesLink: { exact: '.show-title-link' },
+            watchProgress: { exact: '[class*="progress-bar__progress"]' },
+            calendarDay: { exact: '.day .releases' },
+            calendarEntry: { exact: '.releases > li' },
+            calendarTitle: { exact: '.season-name a' },
+            calendarDate: { exact: '.day-date' },
+            cardTags: { exact: '[class*="card-tag"], [class*="__tag"], [class*="tag--"], [class*="badge"]' }
+        },
+        strategies: {}, // Role -> { strategy, selector } currently in use
+        overrides: {}, // Role -> selector pasted in settings
+        lastHeuristicRun: 0,
+
+        /**
+         * Parse the override setting: one "role = selector" per line, # starts a comment
+         * @param {string} text - Setting value
+         * @returns {Object} - Role -> valid selector
+         */
+        parseOverrides(text) {
+            const overrides = {};
+            (text || '').split('\n').forEach(line => {
+                const trimmed = line.trim();
+                if (!trimmed || trimmed.startsWith('#')) {
+                    return;
+                }
+                const separator = trimmed.indexOf('=');
+                const role = trimmed.slice(0, separator).trim();
+                const selector = trimmed.slice(separator + 1).trim();
+                if (separator < 0 || !SelectorEngine.ROLES[role] || !selector) {
+                    Logger.warn(`Ignoring selector override "${trimmed}" (expected "role = selector", roles: ${Object.keys(SelectorEngine.ROLES).join(', ')})`);
+                    return;
+                }
+                if (!isValidSelector(selector)) {
+                    Logger.warn(`Ignoring invalid selector override for ${role}: ${selector}`);
+                    return;
+                }
+                overrides[role] = selector;
+            });
+            return overrides;
+        },
+
+        /**
+         * Apply new override settings; every role is resolved again on the next refresh
+         * @param {string} text - selectorOverrides setting
+         */
+        configure(text) {
+            SelectorEngine.overrides = SelectorEngine.parseOverrides(text);
+            SelectorEngine.strategies = {};
+            SelectorEngine.lastHeuristicRun = 0;
+            Object.keys(SelectorEngine.ROLES).forEach(role => {
+                SELECTORS[role] = SelectorEngine.overrides[role] || SelectorEngine.ROLES[role].exact;
+            });
+            containersDirty = true;
+        },
+
+        /**
+         * Resolve roles whose current selector no longer matches anything on the page
+         */
+        refresh() {
+            const allowHeuristics = Date.now() - SelectorEngine.lastHeuristicRun >= HEURISTIC_INTERVAL;
+            let ranHeuristics = false;
+            Object.keys(SelectorEngine.ROLES).forEach(role => {
+                const current = SelectorEngine.strategies[role];
+                if (current && (current.strategy === 'override' || selectorMatches(current.selector))) {
+                    return; // Still working
+                }
+                ranHeuristics = SelectorEngine.resolve(role, allowHeuristics) || ranHeuristics;
+            });
+            if (ranHeuristics) {
+                SelectorEngine.lastHeuristicRun = Date.now();
+            }
+        },
+
+        /**
+         * Pick the selector for one role and record which strategy produced it
+         * @param {string} role - Key of SELECTORS
+         * @param {boolean} allowHeuristics - Whether the page may be scanned heuristically
+         * @returns {boolean} - Whether a heuristic scan ran
+         */
+        resolve(role, allowHeuristics) {
+            const spec = SelectorEngine.ROLES[role];
+            const previous = SelectorEngine.strategies[role];
+            let resolved = null;
+            let ranHeuristic = false;
+
+            if (SelectorEngine.overrides[role]) {
+                resolved = { strategy: 'override', selector: SelectorEngine.overrides[role] };
+            } else if (selectorMatches(spec.exact)) {
+                resolved = { strategy: 'exact', selector: spec.exact };
+            } else if (prefixSelector(spec.exact) && selectorMatches(prefixSelector(spec.exact))) {
+                resolved = { strategy: 'prefix', selector: prefixSelector(spec.exact) };
+            } else if (spec.heuristic && allowHeuristics) {
+                ranHeuristic = true;
+                const selector = selectorForElements(spec.heuristic());
+                if (selector) {
+                    resolved = { strategy: 'heuristic', selector };
+                }
+            }
+
+            if (!resolved) {
+                // Nothing on this page matches; keep what worked last (or the known class) and retry later
+                SelectorEngine.strategies[role] = { strategy: 'none', selector: SELECTORS[role] };
+                return ranHeuristic;
+            }
+
+            SELECTORS[role] = resolved.selector;
+            SelectorEngine.strategies[role] = resolved;
+            if (previous && previous.selector !== resolved.selector) {
+                // Cards and containers were read with the old selector
+                invalidateCardCache();
+                containersDirty = true;
+            }
+            if (!previous || previous.selector !== resolved.selector) {
+                if (resolved.strategy === 'prefix' || resolved.strategy === 'heuristic') {
+                    Logger.warn(`Selector for ${role} recovered by ${resolved.strategy} match: ${resolved.selector}`);
+                } else {
+                    Logger.debug(`Selector for ${role} (${resolved.strategy}): ${resolved.selector}`);
+                }
+            }
+            return ranHeuristic;
+        },
+
+        /**
+         * Summary of the strategy behind every role, for diagnostics
+         * @returns {string} - e.g. "title=exact, rating=prefix, ..."
+         */
+        describe() {
+            return Object.keys(SelectorEngine.ROLES)
+                .map(role => `${role}=${(SelectorEngine.strategies[role] || { strategy: 'unresolved' }).strategy}`)
+                .join(', ');
+        }
+    };
+
+    /**
+     * Whether a selector is syntactically valid
+     * @param {string} selector - CSS selector
+     * @returns {boolean} - Whether the browser accepts it
+     */
+    function isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether a selector matches anything on the page
+     * @param {string} selector - CSS selector
+     * @returns {boolean} - Whether at least one element matches
+     */
+    function selectorMatches(selector) {
+        try {
+            return document.querySelector(selector) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Hash-independent form of a CSS-module class selector,
+     * e.g. ".browse-card--esJdT" -> '[class*="browse-card--"]'
+     * @param {string} selector - Class selector with a hash suffix
+     * @returns {string|null} - Prefix selector, or null when the selector has no hash
+     */
+    function prefixSelector(selector) {
+        const match = selector.match(/^\.([\w-]+?--)[\w-]+$/);
+        return match ? `[class*="${match[1]}"]` : null;
+    }
+
+    /**
+     * Class selector shared by all given elements (ignoring our own classes), needing at least two of them
+     * @param {Element[]} elements - Elements found by a heuristic
+     * @returns {string|null} - Selector, or null when they share no usable class
+     */
+    function selectorForElements(elements) {
+        if (elements.length < 2) {
+            return null; // A single match is too weak a signal to learn a selector from
+        }
+        const shared = Array.from(elements[0].classList).find(className =>
+            /^[A-Za-z_][\w-]*$/.test(className) &&
+            !className.startsWith('crh-') &&
+            elements.every(element => element.classList.contains(className))
+        );
+        return shared ? `.${shared}` : null;
+    }
+
+    /**
+     * Elements without child elements whose whole text matches a pattern
+     * @param {RegExp} pattern - Text pattern
+     * @returns {Element[]} - Matching elements
+     */
+    function findLeafElements(pattern) {
+        const found = [];
+        if (!document.body) {
+            return found;
+        }
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const parent = walker.currentNode.parentElement;
+            if (parent && parent.childElementCount === 0 && pattern.test(walker.currentNode.textContent.trim())) {
+                found.push(parent);
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Rating elements: a "4.6"-like leaf next to a "(121.4k)"-like vote count
+     * @returns {Element[]} - Probable rating elements
+     */
+    function findRatingElements() {
+        return findLeafElements(RATING_TEXT_PATTERN).filter(element =>
+            element.parentElement && Array.from(element.parentElement.children).some(sibling =>
+                sibling !== element && VOTES_TEXT_PATTERN.test(sibling.textContent.trim())
+            )
+        );
+    }
+
+    /**
+     * Title elements: series links that carry text
+     * @returns {Element[]} - Probable title links
+     */
+    function findTitleElements() {
+        // Watchlist, search and calendar cards have their own selectors and are not browse cards
+        const ownLayouts = `${SELECTORS.listCard}, ${SELECTORS.searchCard}, ${SELECTORS.calendarEntry}`;
+        return Array.from(document.querySelectorAll('a[href*="/series/"]')).filter(link =>
+            link.textContent.trim() !== '' && !link.querySelector('img') && !link.closest(ownLayouts)
+        );
+    }
+
+    /**
+     * Card elements: the largest ancestor of each title that contains no other title
+     * @returns {Element[]} - Probable cards
+     */
+    function findCardElements() {
+        const titleSelector = SelectorEngine.strategies.title && SelectorEngine.strategies.title.strategy !== 'none' ?
+            SELECTORS.title : null;
+        const titles = titleSelector ? Array.from(document.querySelectorAll(titleSelector)) : findTitleElements();
+        const countTitles = element => titleSelector ?
+            element.querySelectorAll(titleSelector).length :
+            findTitleElements().filter(title => element.contains(title)).length;
+
+        return titles.map(title => {
+            let card = title;
+            while (card.parentElement && card.parentElement !== document.body && countTitles(card.parentElement) === 1) {
+                card = card.parentElement;
+            }
+            return card === title ? null : card;
+        }).filter(Boolean);
+    }
+
     /**
      * Smart container detection with fallback strategies
      * @returns {Object} - Detected containers with types
@@ -94,6 +485,9 @@
         const detected = {
             carousels: [],
             browse: [],
+            lists: [],
+            search: [],
+            calendar: [],
             unknown: []
         };
         
@@ -103,11 +497,17 @@
         
         detected.carousels = Array.from(carousels);
         detected.browse = Array.from(browse);
+        detected.lists = Array.from(document.querySelectorAll(SELECTORS.listContainer));
+        detected.search = Array.from(document.querySelectorAll(SELECTORS.searchContainer));
+        detected.calendar = Array.from(document.querySelectorAll(SELECTORS.calendarDay));
         
-        Logger.debug(`Primary detection: ${carousels.length} carousel containers, ${browse.length} browse containers`);
+        Logger.debug(`Primary detection: ${carousels.length} carousel containers, ${browse.length} browse containers, ${detected.lists.length} lists, ${detected.search.length} search result lists, ${detected.calendar.length} calendar days`);
+        [...detected.carousels, ...detected.browse, ...detected.lists, ...detected.search, ...detected.calendar]
+            .forEach(container => containerTiers.set(container, 'primary'));
         
         // Enhanced fallback detection - always try to find containers with cards
-        const totalFound = detected.carousels.length + detected.browse.length;
+        const totalFound = detected.carousels.length + detected.browse.length + detected.lists.length +
+            detected.search.length + detected.calendar.length;
         if (totalFound === 0) {
             Logger.debug('No containers found with primary selectors, trying fallbacks...');
             
@@ -120,6 +520,9 @@
                         const browseCards = container.querySelectorAll(SELECTORS.browseCard).length;
                         const innerCards = container.querySelectorAll(SELECTORS.innerCard).length;
                         
+                        if (carouselCards > 0 || browseCards > 0 || innerCards > 0) {
+                            containerTiers.set(container, 'fallback');
+                        }
                         if (carouselCards > 0) {
                             detected.carousels.push(container);
                             Logger.debug(`Fallback: Found carousel container "${container.className}" with ${carouselCards} cards`);
@@ -138,7 +541,8 @@
         }
         
         // Ultra-fallback: If still no containers found, look for any element that contains inner cards
-        const totalFoundAfterFallback = detected.carousels.length + detected.browse.length + detected.unknown.length;
+        const totalFoundAfterFallback = detected.carousels.length + detected.browse.length +
+            detected.lists.length + detected.search.length + detected.calendar.length + detected.unknown.length;
         if (totalFoundAfterFallback === 0) {
             Logger.debug('Still no containers found, trying ultra-fallback: looking for any parent of inner cards...');
             
@@ -151,8 +555,11 @@
                 let parent = card.parentElement;
                 let depth = 0;
                 while (parent && depth < 5) { // Don't go too far up
+                    if (potentialContainers.has(parent)) {
+                        break; // Found through an earlier card
+                    }
                     const cardsInParent = parent.querySelectorAll(SELECTORS.innerCard).length;
-                    if (cardsInParent >= 2 && !potentialContainers.has(parent)) {
+                    if (cardsInParent >= 2) {
                         potentialContainers.add(parent);
                         Logger.debug(`Ultra-fallback: Found potential container "${parent.className}" with ${cardsInParent} cards (depth: ${depth})`);
                         break;
@@ -165,506 +572,3564 @@
             // Add potential containers to unknown category
             potentialContainers.forEach(container => {
                 const cardsInContainer = container.querySelectorAll(SELECTORS.innerCard).length;
+                containerTiers.set(container, 'structure');
                 detected.unknown.push({ container, cards: cardsInContainer });
             });
         }
         
+        // Episode lists are ranked separately (see rankEpisodeLists)
+        detected.unknown = detected.unknown.filter(({ container }) => !container.matches(SELECTORS.episodeList));
+        
         return detected;
     }
 
-    /**
-     * Extract rating data from a card element
-     * @param {Element} card - The anime card element
-     * @returns {Object} - Rating data with rating and votes
-     */
-    function extractRatingData(card) {
-        const ratingElement = card.querySelector(SELECTORS.rating);
-        const votesElement = card.querySelector(SELECTORS.votes);
-        
-        const rating = ratingElement ? parseFloat(ratingElement.textContent.trim()) : 0;
-        const votesText = votesElement ? votesElement.textContent.trim() : '(0)';
-        
-        // Parse votes count (e.g., "(121.4k)" -> 121400)
-        let votes = 0;
-        const match = votesText.match(/\(([\d.]+)([kK])?\)/);
-        if (match) {
-            votes = parseFloat(match[1]);
-            if (match[2] && match[2].toLowerCase() === 'k') {
-                votes *= 1000;
-            }
-        }
-        
-        return { rating, votes, votesText };
-    }
+    // Persistent per-series rating cache in browser.storage.local, so cards without
+    // rating markup can still be annotated and sorted from ratings seen earlier
+    const RatingCache = {
+        entries: new Map(), // Series ID -> { rating, votes, votesText, title, updatedAt }
+        flushTimeout: null,
+        FLUSH_DELAY: 2000,
+        REFRESH_INTERVAL: 60 * 60 * 1000, // Rewrite unchanged entries at most hourly
 
-    /**
-     * Add rating to anime title
-     * @param {Element} card - The anime card element
-     */
-    function addRatingToTitle(card) {
-        if (processedCards.has(card)) {
-            return false; // Already processed
-        }
+        /**
+         * Whether an entry is older than the configured time-to-live
+         * @param {Object} entry - Cache entry
+         * @param {number} now - Current timestamp
+         * @returns {boolean} - Whether the entry has expired
+         */
+        isExpired(entry, now = Date.now()) {
+            return now - entry.updatedAt > settings.cacheTtlDays * 24 * 60 * 60 * 1000;
+        },
 
-        const titleElement = card.querySelector(SELECTORS.title);
-        if (!titleElement) {
-            console.log('Crunchyroll Helper: No title element found in card');
-            return false;
-        }
+        /**
+         * Load cached ratings from storage, dropping expired entries
+         * @returns {Promise<void>}
+         */
+        load() {
+            const key = CRSettings.STORAGE_KEYS.ratingCache;
+            return browser.storage.local.get(key).then(stored => {
+                RatingCache.merge(stored[key]);
+                Logger.debug(`Rating cache loaded with ${RatingCache.entries.size} series`);
+            });
+        },
 
-        const { rating } = extractRatingData(card);
-        
-        // Debug log for rating extraction (only log if we haven't found cards yet, to reduce spam)
-        if (rating === 0 && !hasFoundCards) {
-            Logger.debug('No rating found for card:', titleElement.textContent.trim());
-            return false;
-        }
-        
-        // Only add rating if we found a valid rating and haven't already processed this title
-        if (rating > 0 && !titleElement.textContent.includes(`(${rating})`)) {
-            const originalTitle = titleElement.textContent.trim();
-            titleElement.textContent = `${originalTitle} (${rating})`;
-            processedCards.add(card);
+        /**
+         * Merge stored entries into memory, keeping the newest entry per series
+         * @param {Object} stored - Series ID -> entry object from storage
+         * @returns {number} - Number of entries that were added or updated
+         */
+        merge(stored) {
+            const now = Date.now();
+            let updated = 0;
+            Object.entries(stored || {}).forEach(([seriesId, entry]) => {
+                const current = RatingCache.entries.get(seriesId);
+                if (entry && entry.rating > 0 && !RatingCache.isExpired(entry, now) &&
+                    (!current || current.updatedAt < entry.updatedAt)) {
+                    RatingCache.entries.set(seriesId, entry);
+                    updated++;
+                }
+            });
+            return updated;
+        },
+
+        /**
+         * Cached rating for a series, if present and fresh
+         * @param {string} seriesId - Crunchyroll series ID
+         * @returns {Object|null} - Cache entry
+         */
+        get(seriesId) {
+            if (!settings.cacheEnabled || !seriesId) {
+                return null;
+            }
+            const entry = RatingCache.entries.get(seriesId);
+            return entry && !RatingCache.isExpired(entry) ? entry : null;
+        },
+
+        /**
+         * ID of a cached series by its title, for cards that don't link to the series ID
+         * @param {string} title - Series title as shown on the card
+         * @returns {string|null} - Series ID, or null when no cached series has that title
+         */
+        findIdByTitle(title) {
+            const wanted = ExternalProviders.normalizeTitle(title);
+            if (!settings.cacheEnabled || !wanted) {
+                return null;
+            }
+            for (const [seriesId, entry] of RatingCache.entries) {
+                if (entry.title && ExternalProviders.normalizeTitle(entry.title) === wanted && !RatingCache.isExpired(entry)) {
+                    return seriesId;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Record a rating seen for a series
+         * @param {string} seriesId - Crunchyroll series ID
+         * @param {Object} ratingData - Rating data with rating, votes and votesText
+         * @param {string} title - Series title
+         */
+        remember(seriesId, ratingData, title) {
+            if (!settings.cacheEnabled || !seriesId || !(ratingData.rating > 0)) {
+                return;
+            }
             
-            // Mark any containers containing this card as needing sort
-            markContainerForSorting(card);
+            const now = Date.now();
+            const current = RatingCache.entries.get(seriesId);
+            if (current && current.rating === ratingData.rating && current.votes === ratingData.votes &&
+                now - current.updatedAt < RatingCache.REFRESH_INTERVAL) {
+                return; // Nothing new to store
+            }
             
-            Logger.log(`Added rating ${rating} to "${originalTitle}"`);
-            return true;
-        }
-        
-        return false;
-    }
+            RatingCache.entries.set(seriesId, {
+                rating: ratingData.rating,
+                votes: ratingData.votes,
+                votesText: ratingData.votesText,
+                title: title || (current && current.title) || '',
+                updatedAt: now
+            });
+            RatingCache.scheduleFlush();
+        },
 
-    /**
-     * Mark containers containing the given card as needing re-sort
-     * @param {Element} card - The card element that was just processed
-     */
-    function markContainerForSorting(card) {
-        let parent = card.parentElement;
-        let depth = 0;
-        
-        while (parent && depth < 10) { // Look up the DOM tree
-            // Check if this parent looks like a container
-            const hasCarouselCards = parent.querySelectorAll(SELECTORS.carouselCard).length > 0;
-            const hasBrowseCards = parent.querySelectorAll(SELECTORS.browseCard).length > 0;
-            const hasInnerCards = parent.querySelectorAll(SELECTORS.innerCard).length > 1;
+        /**
+         * Write pending changes after a short delay, batching many updates into one write
+         */
+        scheduleFlush() {
+            if (!RatingCache.flushTimeout) {
+                RatingCache.flushTimeout = setTimeout(RatingCache.flush, RatingCache.FLUSH_DELAY);
+            }
+        },
+
+        /**
+         * Merge with what other tabs stored, evict expired and excess entries, and save
+         * @returns {Promise<void>}
+         */
+        flush() {
+            RatingCache.flushTimeout = null;
+            const key = CRSettings.STORAGE_KEYS.ratingCache;
+            
+            return browser.storage.local.get(key)
+                .then(stored => {
+                    RatingCache.merge(stored[key]);
+                    RatingCache.evict();
+                    return browser.storage.local.set({ [key]: Object.fromEntries(RatingCache.entries) });
+                })
+                .then(() => {
+                    Logger.debug(`Rating cache saved with ${RatingCache.entries.size} series`);
+                })
+                .catch(error => {
+                    Logger.warn('Could not save rating cache:', error);
+                });
+        },
+
+        /**
+         * Drop expired entries, then the least recently updated ones beyond the size limit
+         */
+        evict() {
+            const now = Date.now();
+            RatingCache.entries.forEach((entry, seriesId) => {
+                if (RatingCache.isExpired(entry, now)) {
+                    RatingCache.entries.delete(seriesId);
+                }
+            });
             
-            if (hasCarouselCards || hasBrowseCards || hasInnerCards) {
-                containersNeedingSort.add(parent);
-                Logger.debug(`Marked container "${parent.className}" for re-sorting (contains new card)`);
-                break; // Found the container, no need to go further up
+            const excess = RatingCache.entries.size - settings.cacheMaxEntries;
+            if (excess > 0) {
+                Array.from(RatingCache.entries)
+                    .sort((a, b) => a[1].updatedAt - b[1].updatedAt)
+                    .slice(0, excess)
+                    .forEach(([seriesId]) => RatingCache.entries.delete(seriesId));
+                Logger.debug(`Evicted ${excess} oldest cached ratings`);
+            }
+        },
+
+        /**
+         * Follow cache writes from other tabs and clearing from the options page
+         * @param {Object} change - storage.onChanged change for the cache key
+         */
+        handleStorageChange(change) {
+            if (!change.newValue) {
+                RatingCache.entries.clear();
+                invalidateCardCache();
+                Logger.log('Rating cache cleared');
+                return;
             }
             
-            parent = parent.parentElement;
-            depth++;
+            // Ratings cached by another tab may cover cards on this page
+            if (RatingCache.merge(change.newValue) > 0) {
+                invalidateCardCache();
+                debouncedProcessCards();
+            }
         }
-    }
+    };
 
-    /**
-     * Compare two cards for sorting by rating (highest first), then by votes
-     * @param {Element} cardA - First card to compare
-     * @param {Element} cardB - Second card to compare
-     * @returns {number} - Comparison result for Array.sort()
-     */
-    function compareCards(cardA, cardB) {
-        const dataA = extractRatingData(cardA);
-        const dataB = extractRatingData(cardB);
-        
-        // Primary sort: by rating (highest first)
-        if (dataA.rating !== dataB.rating) {
-            return dataB.rating - dataA.rating;
-        }
-        
-        // Secondary sort: by votes (highest first) 
-        return dataB.votes - dataA.votes;
-    }
+    // Every rating/vote count seen per series, so badges can show how a rating moved.
+    // Stored compactly as { title, points: [[timestamp, rating, votes], ...] } oldest first.
+    const RatingHistory = {
+        entries: new Map(), // Series ID -> { title, points }
+        flushTimeout: null,
+        FLUSH_DELAY: 5000,
+        MIN_INTERVAL: 60 * 60 * 1000, // A change within this long of the last point replaces it instead of adding one
+        MAX_POINTS: 60, // Per series, oldest dropped first
 
-    /**
-     * Unified container sorting function - handles all container types
-     * @param {Element} container - The container element
-     * @param {string} containerType - 'carousel', 'browse', or 'generic'
-     * @param {boolean} forceSort - Force sorting even if container was previously processed
-     * @returns {boolean} - Whether sorting was performed
-     */
-    function sortContainer(container, containerType = 'generic', forceSort = false) {
-        if (!forceSort && processedContainers.has(container)) {
-            return false; // Already sorted
-        }
+        /**
+         * Load the recorded history from storage
+         * @returns {Promise<void>}
+         */
+        load() {
+            const key = CRSettings.STORAGE_KEYS.ratingHistory;
+            return browser.storage.local.get(key).then(stored => {
+                RatingHistory.merge(stored[key]);
+                Logger.debug(`Rating history loaded for ${RatingHistory.entries.size} series`);
+            });
+        },
 
-        Performance.start(`sort-${containerType}`);
-        Logger.debug(`Sorting ${containerType} container: "${container.className}"`);
-        
-        // Determine card selector based on container type
-        let cardSelector, needsWrapper = false;
-        switch (containerType) {
-            case 'carousel':
-                cardSelector = SELECTORS.carouselCard;
-                needsWrapper = true; // Carousel cards need wrapper elements
-                break;
-            case 'browse':
-                cardSelector = SELECTORS.browseCard;
-                break;
-            default: // generic
-                // Try fallback selectors for generic containers
-                cardSelector = SELECTORS.cardFallbacks.find(selector => {
-                    try {
-                        return container.querySelectorAll(selector).length > 0;
-                    } catch (error) {
-                        Logger.debug(`Fallback selector "${selector}" failed:`, error.message);
-                        return false;
+        /**
+         * Merge stored histories into memory, joining the points both sides recorded
+         * @param {Object} stored - Series ID -> history from storage
+         * @returns {number} - Number of series that gained points
+         */
+        merge(stored) {
+            let updated = 0;
+            Object.entries(stored || {}).forEach(([seriesId, entry]) => {
+                if (!entry || !Array.isArray(entry.points)) {
+                    return;
+                }
+                const current = RatingHistory.entries.get(seriesId);
+                if (!current) {
+                    RatingHistory.entries.set(seriesId, { title: entry.title || '', points: entry.points.slice() });
+                    updated++;
+                    return;
+                }
+                const known = new Set(current.points.map(point => point[0]));
+                const added = entry.points.filter(point => !known.has(point[0]));
+                if (added.length > 0) {
+                    current.points = [...current.points, ...added]
+                        .sort((a, b) => a[0] - b[0])
+                        .slice(-RatingHistory.MAX_POINTS);
+                    current.title = current.title || entry.title || '';
+                    updated++;
+                }
+            });
+            return updated;
+        },
+
+        /**
+         * Record a rating seen for a series, skipping values identical to the last point
+         * @param {string} seriesId - Crunchyroll series ID
+         * @param {Object} ratingData - Rating data with rating and votes
+         * @param {string} title - Series title
+         */
+        record(seriesId, ratingData, title) {
+            if (!settings.historyEnabled || !seriesId || !(ratingData.rating > 0)) {
+                return;
+            }
+            
+            const now = Date.now();
+            const entry = RatingHistory.entries.get(seriesId) || { title: '', points: [] };
+            const last = entry.points[entry.points.length - 1];
+            if (last && last[1] === ratingData.rating && last[2] === ratingData.votes) {
+                return; // Nothing new
+            }
+            
+            const point = [now, ratingData.rating, ratingData.votes];
+            if (last && now - last[0] < RatingHistory.MIN_INTERVAL && entry.points.length > 1) {
+                entry.points[entry.points.length - 1] = point; // The first point stays, so a trend always has a baseline
+            } else {
+                entry.points = [...entry.points, point].slice(-RatingHistory.MAX_POINTS);
+            }
+            entry.title = title || entry.title;
+            RatingHistory.entries.set(seriesId, entry);
+            
+            if (!RatingHistory.flushTimeout) {
+                RatingHistory.flushTimeout = setTimeout(RatingHistory.flush, RatingHistory.FLUSH_DELAY);
+            }
+        },
+
+        /**
+         * Merge with what other tabs stored, drop the least recently updated series beyond the limit, and save
+         * @returns {Promise<void>}
+         */
+        flush() {
+            RatingHistory.flushTimeout = null;
+            const key = CRSettings.STORAGE_KEYS.ratingHistory;
+            
+            return browser.storage.local.get(key)
+                .then(stored => {
+                    RatingHistory.merge(stored[key]);
+                    const lastUpdate = entry => entry.points.length ? entry.points[entry.points.length - 1][0] : 0;
+                    const excess = RatingHistory.entries.size - settings.historyMaxSeries;
+                    if (excess > 0) {
+                        Array.from(RatingHistory.entries)
+                            .sort((a, b) => lastUpdate(a[1]) - lastUpdate(b[1]))
+                            .slice(0, excess)
+                            .forEach(([seriesId]) => RatingHistory.entries.delete(seriesId));
                     }
+                    return browser.storage.local.set({ [key]: Object.fromEntries(RatingHistory.entries) });
+                })
+                .catch(error => {
+                    Logger.warn('Could not save rating history:', error);
                 });
-                if (!cardSelector) {
-                    Logger.debug('No valid card selector found for generic container');
-                    return false;
-                }
-        }
-        
-        const cards = Array.from(container.querySelectorAll(cardSelector));
-        Logger.debug(`Found ${cards.length} ${containerType} cards`);
-        
-        if (cards.length < 2) {
-            Logger.debug(`Not enough cards to sort (${cards.length})`);
-            return false;
-        }
+        },
 
-        // Extract rating data and sort cards
-        const cardsWithRatings = cards.map(card => {
-            try {
-                // Find the inner card element for rating extraction
-                const innerCard = needsWrapper ? 
-                    card.querySelector(SELECTORS.innerCard) || card : 
-                    card.querySelector(SELECTORS.innerCard) || card;
-                
-                if (!innerCard) return null;
-                
-                const ratingData = extractRatingData(innerCard);
-                const titleElement = innerCard.querySelector(SELECTORS.title);
-                const title = titleElement ? titleElement.textContent.trim() : 'Untitled';
-                
-                // Add rating to title
-                addRatingToTitle(innerCard);
-                
-                return {
-                    element: card, // The element to move (wrapper for carousels, card for others)
-                    innerCard: innerCard,
-                    title: title,
-                    ...ratingData
-                };
-            } catch (error) {
-                Logger.error('Error processing card:', error);
+        /**
+         * How a series' rating moved over the trend window
+         * @param {string} seriesId - Crunchyroll series ID
+         * @param {number} rating - Rating shown now
+         * @returns {Object|null} - { delta, from, since }, or null when the rating did not move
+         */
+        trend(seriesId, rating) {
+            const entry = seriesId && RatingHistory.entries.get(seriesId);
+            if (!entry || entry.points.length === 0 || !(rating > 0)) {
+                return null;
+            }
+            
+            // Compare with the rating at the start of the window: the last point before it, else the oldest one inside it
+            const windowStart = Date.now() - settings.trendWindowDays * 24 * 60 * 60 * 1000;
+            const before = entry.points.filter(point => point[0] <= windowStart);
+            const baseline = before.length ? before[before.length - 1] : entry.points[0];
+            const delta = Math.round((rating - baseline[1]) * 100) / 100;
+            if (delta === 0) {
                 return null;
             }
-        }).filter(item => item && item.rating > 0);
+            return { delta, from: baseline[1], since: Math.max(baseline[0], windowStart) };
+        },
 
-        Logger.debug(`Cards with ratings: [${cardsWithRatings.map(c => `"${c.title}" (${c.rating})`).join(', ')}]`);
-        
-        if (cardsWithRatings.length < 2) {
-            Logger.debug('Not enough rated cards to sort');
-            return false;
+        /**
+         * Follow history writes from other tabs and clearing from the options page
+         * @param {Object} change - storage.onChanged change for the history key
+         */
+        handleStorageChange(change) {
+            if (!change.newValue) {
+                RatingHistory.entries.clear();
+                Logger.log('Rating history cleared');
+                if (settings.injectRatings) {
+                    refreshRatingBadges();
+                }
+                return;
+            }
+            RatingHistory.merge(change.newValue);
         }
+    };
 
-        // Sort by rating (highest first), then by votes
-        cardsWithRatings.sort((a, b) => {
-            if (a.rating !== b.rating) {
-                return b.rating - a.rating; // Highest rating first
-            }
-            return b.votes - a.votes; // Most votes first as tiebreaker
-        });
+    // DOM writes (badges, reordering) queued while processing and applied together in the next animation
+    // frame, so a burst of new cards causes one layout instead of one per card. Mutations our own writes
+    // cause are dropped from the observer afterwards instead of being processed again.
+    const DomBatch = {
+        writes: new Map(), // Element the write is about -> callback; a newer write for the same element replaces the older one
+        frame: null,
 
-        Logger.debug(`Sorted order: [${cardsWithRatings.map(c => `"${c.title}" (${c.rating})`).join(', ')}]`);
+        /**
+         * Queue a DOM write for the next animation frame
+         * @param {*} key - Element (or other key) the write updates
+         * @param {Function} callback - Performs the write
+         */
+        write(key, callback) {
+            DomBatch.writes.set(key, callback);
+            if (!DomBatch.frame) {
+                DomBatch.frame = requestAnimationFrame(DomBatch.flush);
+            }
+        },
 
-        // Reorder DOM elements
-        try {
-            const fragment = document.createDocumentFragment();
+        /**
+         * Apply every queued write
+         */
+        flush() {
+            DomBatch.frame = null;
+            if (observer) {
+                handleMutations(observer.takeRecords()); // The page's own changes since the last callback still count
+            }
             
-            // Add sorted rated cards first
-            cardsWithRatings.forEach(item => {
-                fragment.appendChild(item.element);
+            const writes = Array.from(DomBatch.writes.values());
+            DomBatch.writes.clear();
+            writes.forEach(callback => {
+                try {
+                    callback();
+                } catch (error) {
+                    Logger.error('Error updating the page:', error);
+                }
             });
             
-            // Add non-rated cards at the end
-            cards.forEach(card => {
-                const hasRating = cardsWithRatings.some(item => item.element === card);
-                if (!hasRating && card.parentNode === container) {
-                    fragment.appendChild(card);
+            if (observer) {
+                observer.takeRecords(); // Our own changes
+            }
+        }
+    };
+
+    /**
+     * Read a value from a card once and keep it until the card's content changes
+     * @param {Element} card - The anime card element
+     * @param {string} field - Name of the value
+     * @param {Function} read - Reads the value from the card
+     * @returns {*} - Cached or freshly read value
+     */
+    function readCached(card, field, read) {
+        let entry = cardCache.get(card);
+        if (!entry) {
+            entry = {};
+            cardCache.set(card, entry);
+        }
+        if (!(field in entry)) {
+            entry[field] = read();
+        }
+        return entry[field];
+    }
+
+    /**
+     * Forget what was read from a card, or from every card (e.g. when new ratings arrive for unrated ones)
+     * @param {Element} [card] - The card that changed; all cards when omitted
+     */
+    function invalidateCardCache(card) {
+        if (card) {
+            cardCache.delete(card);
+        } else {
+            cardCache = new WeakMap();
+        }
+    }
+
+    /**
+     * Selector matching cards of every supported layout (browse cards, watchlist/Crunchylist cards, search hits
+     * and calendar entries)
+     * @returns {string} - CSS selector
+     */
+    function allCardsSelector() {
+        return `${SELECTORS.innerCard}, ${SELECTORS.listCard}, ${SELECTORS.searchCard}, ${SELECTORS.calendarEntry}`;
+    }
+
+    /**
+     * Title element of a card in any supported layout
+     * @param {Element} card - The anime card element
+     * @returns {Element|null} - Title element
+     */
+    function getTitleElement(card) {
+        return card.querySelector(SELECTORS.title) ||
+            card.querySelector(SELECTORS.listTitle) ||
+            card.querySelector(SELECTORS.searchTitle) ||
+            card.querySelector(SELECTORS.calendarTitle) ||
+            card.querySelector(SELECTORS.watchSeriesLink);
+    }
+
+    // Abbreviations Crunchyroll's UI languages use for large counts, e.g. "(1,2 k)", "(12,3 mil)", "(1,2 Mio.)".
+    // Matched case-sensitively, longest first, so "mil" (thousand) wins over "mi" (million).
+    const COUNT_SUFFIXES = [
+        [1e3, ['k', 'K', 'mil', 'Tsd.', 'Tsd', 'тыс.', 'тыс', 'ألف', 'هزار', 'हज़ार', 'हजार', 'rb', 'ribu', 'พัน', 'N', 'nghìn', '千']],
+        [1e4, ['万', '萬', '만']],
+        [1e6, ['M', 'Mio.', 'Mio', 'mi', 'mln', 'Mln', 'млн', 'مليون', 'Mn', 'jt', 'juta', 'ล้าน', 'Tr', 'tr', 'triệu', 'mn']],
+        [1e8, ['億', '亿', '억']],
+        [1e9, ['B', 'Md', 'Mrd.', 'Mrd', 'bi', 'mld', 'млрд', 'مليار']]
+    ]
+        .flatMap(([multiplier, suffixes]) => suffixes.map(suffix => ({ suffix, multiplier })))
+        .sort((a, b) => b.suffix.length - a.suffix.length);
+
+    // Decimal digit blocks other than ASCII that Crunchyroll's locales may render
+    const DIGIT_ZEROS = [0x0660, 0x06F0, 0x0966, 0x09E6, 0x0E50, 0xFF10];
+
+    const numberFormats = new Map(); // "locale|options" -> Intl.NumberFormat
+
+    /**
+     * Locale of the page: the document's lang attribute, else the URL's locale prefix, else the browser's
+     * @returns {string} - BCP 47 locale, e.g. "de-DE"
+     */
+    function getPageLocale() {
+        const pathLocale = location.pathname.match(/^\/([a-z]{2}(?:-[a-z]{2,3})?)(?=\/|$)/i);
+        const candidates = [document.documentElement && document.documentElement.lang, pathLocale && pathLocale[1], navigator.language];
+        for (const candidate of candidates) {
+            try {
+                if (candidate) {
+                    return Intl.getCanonicalLocales(candidate)[0];
+                }
+            } catch (error) {
+                // Not a valid locale tag, try the next source
+            }
+        }
+        return 'en-US';
+    }
+
+    /**
+     * Cached Intl.NumberFormat for the page locale
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {Intl.NumberFormat} - Formatter
+     */
+    function getNumberFormat(options = {}) {
+        const locale = getPageLocale();
+        const key = `${locale}|${JSON.stringify(options)}`;
+        if (!numberFormats.has(key)) {
+            numberFormats.set(key, new Intl.NumberFormat(locale, options));
+        }
+        return numberFormats.get(key);
+    }
+
+    /**
+     * Replace non-ASCII decimal digits (Arabic-Indic, Persian, Devanagari, Bengali, Thai, full-width) with ASCII ones
+     * @param {string} text - Text
+     * @returns {string} - Text with ASCII digits
+     */
+    function normalizeDigits(text) {
+        return text.replace(/\p{Nd}/gu, digit => {
+            const code = digit.charCodeAt(0);
+            const zero = DIGIT_ZEROS.find(start => code >= start && code <= start + 9);
+            return zero === undefined ? digit : String(code - zero);
+        });
+    }
+
+    /**
+     * Parse a number written the way the page locale writes it ("4,6", "1.234", "1 234,5", "٤٫٦").
+     * A lone separator followed by exactly three digits is the grouping separator unless it is
+     * the locale's decimal separator; any other lone separator is the decimal separator.
+     * @param {string} text - Number text, possibly surrounded by other characters
+     * @returns {number} - Parsed number, or NaN when there is none
+     */
+    function parseLocaleNumber(text) {
+        const match = normalizeDigits(text || '')
+            .replace(/٫/g, ',') // Arabic decimal separator
+            .replace(/[٬   ']/g, ' ') // Arabic, non-breaking and thin grouping separators
+            .match(/\d+(?:[ .,]\d+)*/);
+        if (!match) {
+            return NaN;
+        }
+        
+        const number = match[0];
+        const separators = number.match(/[ .,]/g) || [];
+        const last = separators[separators.length - 1];
+        let decimal = null;
+        if (new Set(separators).size > 1) {
+            decimal = last === ' ' ? null : last; // "1.234,5" / "1,234.5": the last separator is the decimal one
+        } else if (separators.length === 1 && last !== ' ') {
+            const digitsAfter = number.length - number.indexOf(last) - 1;
+            const localeDecimal = getNumberFormat().formatToParts(1.5).find(part => part.type === 'decimal');
+            decimal = digitsAfter !== 3 || (localeDecimal && localeDecimal.value === last) ? last : null;
+        }
+        
+        if (!decimal) {
+            return parseFloat(number.replace(/[ .,]/g, ''));
+        }
+        const split = number.lastIndexOf(decimal);
+        return parseFloat(`${number.slice(0, split).replace(/[ .,]/g, '')}.${number.slice(split + 1)}`);
+    }
+
+    /**
+     * Parse a vote or like count as Crunchyroll abbreviates it in any UI language
+     * (e.g., "(121.4k)" -> 121400, "(1,2 k)" -> 1200, "(12,3 mil)" -> 12300, "(2 Mio.)" -> 2000000)
+     * @param {string} text - Count text, with or without parentheses
+     * @returns {number} - Count (0 when unreadable)
+     */
+    function parseVoteCount(text) {
+        const value = parseLocaleNumber(text);
+        if (!(value > 0)) {
+            return 0;
+        }
+        const unitText = normalizeDigits(text)
+            .replace(/^\D*[\d\s.,٫٬   ']*/, '') // Everything up to the end of the number
+            .replace(/[()]/g, '')
+            .trim();
+        const unit = COUNT_SUFFIXES.find(({ suffix }) => unitText.startsWith(suffix));
+        return Math.round(value * (unit ? unit.multiplier : 1));
+    }
+
+    /**
+     * Format a number for the page locale
+     * @param {number} value - Number
+     * @param {number} fractionDigits - Digits after the decimal separator
+     * @returns {string} - Formatted number, e.g. "4,6" on German pages
+     */
+    function formatNumber(value, fractionDigits) {
+        return getNumberFormat({ minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }).format(value);
+    }
+
+    /**
+     * Format a rating for the page locale, keeping Crunchyroll's precision (4.6, 4.55)
+     * @param {number} rating - Rating
+     * @returns {string} - Formatted rating
+     */
+    function formatRating(rating) {
+        return getNumberFormat({ minimumFractionDigits: 1, maximumFractionDigits: 2 }).format(rating);
+    }
+
+    /**
+     * Format a vote count compactly for the page locale, e.g. "121K" or "121.400"
+     * @param {number} votes - Vote count
+     * @returns {string} - Formatted count
+     */
+    function formatCount(votes) {
+        return getNumberFormat({ notation: 'compact', maximumFractionDigits: 1 }).format(votes);
+    }
+
+    /**
+     * Parse the Crunchyroll series ID from a card's title link (e.g. "/series/GRMG8ZQZR/slug")
+     * @param {Element} card - The anime card element
+     * @returns {string|null} - Series ID
+     */
+    function getSeriesId(card) {
+        return readCached(card, 'seriesId', () => {
+            const titleElement = getTitleElement(card);
+            const link = (titleElement && titleElement.closest('a[href]')) || card.querySelector('a[href*="/series/"]');
+            const href = link ? link.getAttribute('href') || '' : '';
+            const match = href.match(/\/series\/([A-Z0-9]+)/i);
+            if (match) {
+                return match[1].toUpperCase();
+            }
+            // Calendar entries may link to the series by name only
+            return card.matches(SELECTORS.calendarEntry) ? RatingCache.findIdByTitle(getCardTitle(card)) : null;
+        });
+    }
+
+    /**
+     * Extract rating data from a card element, with the external provider's score when known
+     * @param {Element} card - The anime card element
+     * @returns {Object} - Rating data with rating, votes, source and external
+     */
+    function extractRatingData(card) {
+        const entry = cardCache.get(card);
+        if (entry && entry.ratingData) {
+            return entry.ratingData;
+        }
+        
+        const ratingData = readCrunchyrollRating(card);
+        ratingData.external = getExternalScore(card);
+        // Unrated cards are read again next time: a rating for their series may turn up from another card
+        if (hasAnyRating(ratingData)) {
+            readCached(card, 'ratingData', () => ratingData);
+        }
+        return ratingData;
+    }
+
+    /**
+     * Read Crunchyroll's rating from a card element, falling back to the rating cache
+     * @param {Element} card - The anime card element
+     * @returns {Object} - Rating data with rating, votes and source ('dom', 'cache', 'api' or 'none')
+     */
+    function readCrunchyrollRating(card) {
+        const ratingElement = card.querySelector(SELECTORS.rating);
+        const votesElement = card.querySelector(SELECTORS.votes);
+        
+        const rating = ratingElement ? parseLocaleNumber(ratingElement.textContent.trim()) || 0 : 0;
+        const votesText = votesElement ? votesElement.textContent.trim() : '(0)';
+        const votes = parseVoteCount(votesText);
+        
+        const seriesId = getSeriesId(card);
+        if (rating > 0) {
+            const ratingData = { rating, votes, votesText, source: 'dom' };
+            RatingCache.remember(seriesId, ratingData, getCardTitle(card));
+            RatingHistory.record(seriesId, ratingData, getCardTitle(card));
+            return ratingData;
+        }
+        
+        // No rating markup in this card: use a rating seen earlier for the same series
+        const cached = RatingCache.get(seriesId);
+        if (cached) {
+            return { rating: cached.rating, votes: cached.votes, votesText: cached.votesText, source: 'cache' };
+        }
+        
+        // ...or one the background script fetched from Crunchyroll's API
+        const fetched = fetchedRatings.get(seriesId);
+        if (fetched) {
+            return { rating: fetched.rating, votes: fetched.votes, votesText: fetched.votesText, source: 'api' };
+        }
+        
+        return { rating, votes, votesText, source: 'none' };
+    }
+
+    /**
+     * Key under which an external score is stored for a title
+     * @param {string} title - Card title
+     * @returns {string} - "provider:normalized title"
+     */
+    function externalScoreKey(title) {
+        return `${settings.externalProvider}:${ExternalProviders.normalizeTitle(title)}`;
+    }
+
+    /**
+     * AniList/MAL match for a card from the configured provider, if one was found
+     * @param {Element} card - The anime card element
+     * @returns {Object|null} - { score, url, matchedTitle, provider }
+     */
+    function getExternalScore(card) {
+        if (settings.externalProvider === 'none') {
+            return null;
+        }
+        return externalScores.get(externalScoreKey(getCardTitle(card))) || null;
+    }
+
+    /**
+     * Whether rating data has anything worth showing
+     * @param {Object} ratingData - Rating data from extractRatingData
+     * @returns {boolean} - Whether there is a Crunchyroll rating or an external score
+     */
+    function hasAnyRating(ratingData) {
+        return ratingData.rating > 0 || Boolean(ratingData.external);
+    }
+
+    /**
+     * Ask the background script for AniList/MAL scores of cards not looked up yet
+     * @param {Element[]} cards - Inner card elements
+     */
+    function requestExternalScores(cards) {
+        if (settings.externalProvider === 'none') {
+            return;
+        }
+        
+        const items = [];
+        cards.forEach(card => {
+            const title = getCardTitle(card);
+            const key = externalScoreKey(title);
+            if (title !== 'Untitled' && !requestedExternal.has(key)) {
+                requestedExternal.add(key);
+                items.push({ title });
+            }
+        });
+        
+        if (items.length === 0) {
+            return;
+        }
+        
+        browser.runtime.sendMessage({ type: 'resolveExternalScores', items })
+            .then(response => {
+                if (response) {
+                    Logger.debug(`Requested ${items.length} external scores (${response.queued} queued)`);
+                    handleExternalScores(response.results);
+                }
+            })
+            .catch(error => {
+                Logger.debug('Could not request external scores:', error.message);
+            });
+    }
+
+    /**
+     * Store external scores and update labels and containers sorted by them
+     * @param {Object} results - "provider:normalized title" -> match
+     */
+    function handleExternalScores(results) {
+        const provider = settings.externalProvider;
+        const entries = Object.entries(results || {}).filter(([key]) => key.startsWith(`${provider}:`));
+        if (entries.length === 0) {
+            return;
+        }
+        
+        entries.forEach(([key, match]) => {
+            externalScores.set(key, { ...match, provider });
+        });
+        invalidateCardCache();
+        Logger.log(`Received ${entries.length} ${provider} scores`);
+        
+        if (settings.injectRatings) {
+            refreshRatingBadges();
+        }
+        resortContainersUsingMode('external');
+    }
+
+    /**
+     * Re-sort every container on the page currently sorted by the given mode
+     * @param {string} mode - One of the SORT_MODES keys
+     */
+    function resortContainersUsingMode(mode) {
+        refreshContainerMap();
+        knownContainers.forEach((containerType, container) => {
+            if (getContainerSortMode(container, containerType) === mode) {
+                sortContainer(container, containerType, true);
+            }
+        });
+    }
+
+    /**
+     * Ask the background script to fetch ratings for cards that have none yet
+     * @param {Element[]} cards - Inner card elements
+     */
+    function requestMissingRatings(cards) {
+        if (!settings.fetchMissingRatings) {
+            return;
+        }
+        
+        const seriesIds = [];
+        cards.forEach(card => {
+            const seriesId = getSeriesId(card);
+            if (seriesId && !requestedSeries.has(seriesId) && extractRatingData(card).source === 'none') {
+                requestedSeries.add(seriesId);
+                seriesIds.push(seriesId);
+            }
+        });
+        
+        if (seriesIds.length === 0) {
+            return;
+        }
+        
+        browser.runtime.sendMessage({ type: 'resolveRatings', seriesIds })
+            .then(response => {
+                Logger.debug(`Requested ${seriesIds.length} missing ratings (${response ? response.queued : 0} queued)`);
+            })
+            .catch(error => {
+                Logger.debug('Could not request missing ratings:', error.message);
+            });
+    }
+
+    /**
+     * Store ratings streamed back by the background script and update the affected cards
+     * @param {Object} ratings - Series ID -> { rating, votes, votesText }
+     */
+    function handleResolvedRatings(ratings) {
+        const titles = new Map();
+        document.querySelectorAll(allCardsSelector()).forEach(card => {
+            const seriesId = getSeriesId(card);
+            if (seriesId && ratings[seriesId]) {
+                titles.set(seriesId, getCardTitle(card));
+            }
+        });
+        
+        Object.entries(ratings).forEach(([seriesId, ratingData]) => {
+            fetchedRatings.set(seriesId, ratingData);
+            RatingCache.remember(seriesId, ratingData, titles.get(seriesId));
+            RatingHistory.record(seriesId, ratingData, titles.get(seriesId));
+        });
+        
+        invalidateCardCache();
+        Logger.log(`Received ${Object.keys(ratings).length} ratings from the background script`);
+        debouncedProcessCards(); // Annotates the cards and re-sorts their containers
+    }
+
+    /**
+     * Annotate a card with its rating badge and track newly rated cards
+     * @param {Element} card - The anime card element
+     * @returns {boolean} - Whether the card was newly found to have a rating
+     */
+    function annotateCard(card) {
+        const titleElement = getTitleElement(card);
+        if (!titleElement) {
+            Logger.debug('No title element found in card');
+            return false;
+        }
+
+        registerCard(card);
+        const ratingData = extractRatingData(card);
+        
+        if (!hasAnyRating(ratingData)) {
+            DomBatch.write(card, () => removeRatingBadge(card)); // The site may have reused this card for an unrated series
+            // Debug log for rating extraction (only log if we haven't found cards yet, to reduce spam)
+            if (!hasFoundCards) {
+                Logger.debug('No rating found for card:', titleElement.textContent.trim());
+            }
+            return false;
+        }
+        
+        if (settings.injectRatings) {
+            DomBatch.write(card, () => renderRatingBadge(card, titleElement, ratingData));
+        }
+        
+        if (processedCards.has(card)) {
+            return false; // Already processed
+        }
+        
+        processedCards.add(card);
+        pageMeanRating = null; // Page mean must include this rating
+        
+        // Mark any containers containing this card as needing sort
+        markContainerForSorting(card);
+        
+        Logger.log(`Found rating ${ratingData.rating || '-'} for "${titleElement.textContent.trim()}"`);
+        return true;
+    }
+
+    // Styles of the rating badge, isolated from the page inside its shadow root
+    const BADGE_STYLES = `
+        :host {
+            all: initial;
+            display: inline-flex;
+            margin-left: 0.4em;
+            vertical-align: middle;
+        }
+        .badge {
+            align-items: center;
+            border-radius: 3px;
+            color: #111;
+            cursor: default;
+            display: inline-flex;
+            font: 600 12px/1.5 system-ui, sans-serif;
+            gap: 0.4em;
+            padding: 0 0.45em;
+            white-space: nowrap;
+        }
+        .badge[data-band="excellent"] { background: #3ecf6e; }
+        .badge[data-band="good"] { background: #a8d84e; }
+        .badge[data-band="fair"] { background: #f2c53d; }
+        .badge[data-band="poor"] { background: #f08a5d; }
+        .badge[data-band="none"] { background: #9aa0aa; }
+        .badge[data-source="cache"] .rating,
+        .badge[data-source="api"] .rating { font-style: italic; }
+        .extra { font-weight: 400; opacity: 0.85; }
+        .trend { font-weight: 400; }
+        .trend[data-direction="up"] { color: #0b5a26; }
+        .trend[data-direction="down"] { color: #8a1c0c; }
+        .hide {
+            background: none;
+            border: 0;
+            color: #a0a0a0;
+            cursor: pointer;
+            font: 12px/1.5 system-ui, sans-serif;
+            margin-left: 0.2em;
+            opacity: 0;
+            padding: 0 0.2em;
+        }
+        :host(:hover) .hide,
+        .hide:focus-visible { opacity: 1; }
+        .hide:hover { color: #f47521; }
+        [hidden] { display: none; }
+    `;
+
+    /**
+     * Color band of a rating
+     * @param {number} rating - Crunchyroll rating (0 when unknown)
+     * @returns {string} - 'excellent', 'good', 'fair', 'poor' or 'none'
+     */
+    function getRatingBand(rating) {
+        if (!(rating > 0)) return 'none';
+        if (rating >= 4.8) return 'excellent';
+        if (rating >= 4.5) return 'good';
+        if (rating >= 4.0) return 'fair';
+        return 'poor';
+    }
+
+    /**
+     * Everything a badge shows, used both to render it and to detect when it is out of date
+     * @param {Object} ratingData - Rating data from extractRatingData
+     * @returns {Object} - Badge state
+     */
+    function getBadgeState(ratingData) {
+        const external = ratingData.external;
+        const provider = external ? ExternalProviders.PROVIDERS[external.provider] : null;
+        return {
+            rating: ratingData.rating,
+            ratingText: ratingData.rating > 0 ? formatRating(ratingData.rating) : '',
+            votes: ratingData.rating > 0 ? formatCount(ratingData.votes) : '',
+            source: ratingData.source,
+            weighted: settings.showWeightedScore && ratingData.rating > 0 ?
+                formatNumber(computeWeightedScore(ratingData, getPriorMean()), 2) : null,
+            external: external ? {
+                shortLabel: provider ? provider.shortLabel : '',
+                label: provider ? provider.label : '',
+                score: formatNumber(external.score, 1)
+            } : null
+        };
+    }
+
+    /**
+     * Tooltip text of a badge, e.g. "4.6 out of 5 from 121K votes"
+     * @param {Object} state - Badge state
+     * @returns {string} - Tooltip text
+     */
+    function describeBadge(state) {
+        const lines = [];
+        if (state.rating > 0) {
+            lines.push(`Crunchyroll: ${state.ratingText} out of 5 from ${state.votes} votes`);
+            if (state.source === 'cache') lines.push('Remembered from an earlier visit');
+            if (state.source === 'api') lines.push('Fetched from Crunchyroll');
+        }
+        if (state.trend) {
+            lines.push(`${state.trend.text} since ${state.trend.since} (was ${state.trend.from})`);
+        }
+        if (state.weighted) {
+            lines.push(`Weighted score: ${state.weighted}`);
+        }
+        if (state.external) {
+            lines.push(`${state.external.label}: ${state.external.score} out of 10`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Create an empty badge: a host element with a shadow root holding the visible parts
+     * @param {Element} card - Card the badge belongs to (for its hide button)
+     * @returns {Object} - { host, parts, key }
+     */
+    function createRatingBadge(card) {
+        const host = document.createElement('span');
+        host.className = 'crh-rating-badge-host';
+        
+        const root = host.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = BADGE_STYLES;
+        
+        const badge = document.createElement('span');
+        badge.className = 'badge';
+        badge.setAttribute('role', 'img');
+        const parts = { badge };
+        ['rating', 'trend', 'weighted', 'external'].forEach(name => {
+            parts[name] = document.createElement('span');
+            parts[name].className = name === 'rating' || name === 'trend' ? name : 'extra';
+            badge.appendChild(parts[name]);
+        });
+        
+        parts.hide = document.createElement('button');
+        parts.hide.type = 'button';
+        parts.hide.className = 'hide';
+        parts.hide.textContent = '✕';
+        parts.hide.title = 'Hide this series';
+        parts.hide.setAttribute('aria-label', 'Hide this series');
+        parts.hide.addEventListener('click', event => {
+            event.preventDefault();
+            event.stopPropagation();
+            hideSeries(card);
+        });
+        
+        root.appendChild(style);
+        root.appendChild(badge);
+        root.appendChild(parts.hide);
+        return { host, parts, key: null };
+    }
+
+    /**
+     * Show or update a card's rating badge next to its title, reusing the existing badge
+     * @param {Element} card - The anime card element
+     * @param {Element} titleElement - The card's title element
+     * @param {Object} ratingData - Rating data from extractRatingData
+     * @returns {boolean} - Whether anything in the page changed
+     */
+    function renderRatingBadge(card, titleElement, ratingData) {
+        const seriesId = getSeriesId(card);
+        const trend = settings.showTrend && settings.historyEnabled ? RatingHistory.trend(seriesId, ratingData.rating) : null;
+        const state = {
+            ...getBadgeState(ratingData),
+            trend: trend ? {
+                direction: trend.delta > 0 ? 'up' : 'down',
+                text: `${trend.delta > 0 ? '▲' : '▼'}${formatNumber(Math.abs(trend.delta), 2)}`,
+                from: formatRating(trend.from),
+                since: new Date(trend.since).toLocaleDateString(getPageLocale())
+            } : null,
+            // The watch page header has nothing to hide
+            hideButton: settings.showHideButton && !titleElement.matches(SELECTORS.watchSeriesLink) && seriesId !== null
+        };
+        const key = JSON.stringify(state);
+        
+        let badge = ratingBadges.get(card);
+        if (!badge || !card.contains(badge.host)) {
+            badge = createRatingBadge(card); // New card, or the site re-rendered it and dropped our badge
+            ratingBadges.set(card, badge);
+        }
+        
+        // List layouts put the title text inside the link; the badge goes after the link
+        const link = titleElement.closest('a');
+        const anchor = link && link !== card && card.contains(link) ? link : titleElement;
+        const placed = badge.host.previousElementSibling === anchor;
+        if (placed && badge.key === key) {
+            return false; // Up to date
+        }
+        if (!placed) {
+            anchor.insertAdjacentElement('afterend', badge.host);
+        }
+        
+        const { parts } = badge;
+        parts.badge.dataset.band = getRatingBand(state.rating);
+        parts.badge.dataset.source = state.source;
+        parts.badge.title = describeBadge(state);
+        parts.rating.textContent = state.rating > 0 ? `★ ${state.ratingText}` : '';
+        parts.rating.hidden = !(state.rating > 0);
+        parts.trend.textContent = state.trend ? state.trend.text : '';
+        parts.trend.dataset.direction = state.trend ? state.trend.direction : '';
+        parts.trend.hidden = !state.trend;
+        parts.weighted.textContent = state.weighted ? `w ${state.weighted}` : '';
+        parts.weighted.hidden = !state.weighted;
+        parts.external.textContent = state.external ? `${state.external.shortLabel} ${state.external.score}`.trim() : '';
+        parts.external.hidden = !state.external;
+        parts.hide.hidden = !state.hideButton;
+        parts.badge.setAttribute('aria-label', describeBadge(state).replace(/\n/g, ', '));
+        badge.key = key;
+        return true;
+    }
+
+    /**
+     * Remove a card's rating badge, if it has one
+     * @param {Element} card - The anime card element
+     */
+    function removeRatingBadge(card) {
+        const badge = ratingBadges.get(card);
+        if (badge) {
+            badge.host.remove();
+            ratingBadges.delete(card);
+        }
+    }
+
+    /**
+     * Card title as shown by Crunchyroll
+     * @param {Element} card - The anime card element
+     * @returns {string} - Title text
+     */
+    function getCardTitle(card) {
+        return readCached(card, 'title', () => {
+            const titleElement = getTitleElement(card);
+            return titleElement ? titleElement.textContent.trim() : 'Untitled';
+        });
+    }
+
+    /**
+     * Bring every rating badge on the page up to date, or remove them all when ratings are turned off
+     */
+    function refreshRatingBadges() {
+        const cards = [...document.querySelectorAll(allCardsSelector()), getWatchHeader()].filter(Boolean);
+        if (!settings.injectRatings) {
+            cards.forEach(card => DomBatch.write(card, () => removeRatingBadge(card)));
+            DomBatch.write('strayBadges', () => {
+                document.querySelectorAll('.crh-rating-badge-host').forEach(host => host.remove());
+            });
+            Logger.log('Removed all rating badges');
+            return;
+        }
+        cards.forEach(card => {
+            try {
+                annotateCard(card);
+            } catch (error) {
+                Logger.error('Error updating rating badge:', error);
+            }
+        });
+    }
+
+    /**
+     * Mark containers containing the given card as needing re-sort
+     * @param {Element} card - The card element that was just processed
+     */
+    function markContainerForSorting(card) {
+        const container = findKnownContainer(card);
+        if (container) {
+            containersNeedingSort.add(container);
+        } else {
+            containersDirty = true; // A new container; detect containers again before the next sort
+        }
+    }
+
+    /**
+     * Known container holding a card
+     * @param {Element} card - Card element
+     * @returns {Element|null} - Container, or null when the card is in none of the known containers
+     */
+    function findKnownContainer(card) {
+        for (let parent = card.parentElement, depth = 0; parent && depth < 10; parent = parent.parentElement, depth++) {
+            if (knownContainers.has(parent)) {
+                return parent;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Detect containers again if cards appeared outside the known ones, a known one left the page, or when forced
+     * @param {boolean} force - Detect even when nothing suggests the containers changed
+     */
+    function refreshContainerMap(force = false) {
+        const removed = Array.from(knownContainers.keys()).some(container => !container.isConnected);
+        if (!force && !containersDirty && !removed) {
+            return;
+        }
+        
+        const detected = detectAllContainers();
+        knownContainers = new Map([
+            ...detected.carousels.map(container => [container, 'carousel']),
+            ...detected.browse.map(container => [container, 'browse']),
+            ...detected.lists.map(container => [container, 'list']),
+            ...detected.search.map(container => [container, 'search']),
+            ...detected.calendar.map(container => [container, 'calendar']),
+            ...detected.unknown.map(({ container }) => {
+                // Determine container type based on structure
+                if (container.querySelector(SELECTORS.carouselCard)) {
+                    return [container, 'carousel'];
+                }
+                return [container, container.querySelector(SELECTORS.browseCard) ? 'browse' : 'generic'];
+            })
+        ]);
+        containersDirty = false;
+        Logger.debug(`Container detection: ${detected.carousels.length} carousels, ${detected.browse.length} browse, ${detected.lists.length} lists, ${detected.search.length} search, ${detected.calendar.length} calendar, ${detected.unknown.length} unknown`);
+    }
+
+    /**
+     * Mean rating used as the Bayesian prior, from the page or the configured global mean
+     * @returns {number} - Prior mean rating
+     */
+    function getPriorMean() {
+        if (settings.weightedMeanSource === 'global') {
+            return settings.weightedGlobalMean;
+        }
+        
+        if (pageMeanRating === null) {
+            const ratings = Array.from(document.querySelectorAll(allCardsSelector()))
+                .map(card => extractRatingData(card).rating)
+                .filter(rating => rating > 0);
+            pageMeanRating = ratings.length > 0 ?
+                ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length :
+                settings.weightedGlobalMean;
+            Logger.debug(`Page mean rating: ${pageMeanRating.toFixed(3)} from ${ratings.length} cards`);
+        }
+        return pageMeanRating;
+    }
+
+    /**
+     * Bayesian average of a rating: pulls ratings with few votes towards the prior mean
+     * @param {Object} ratingData - Rating data with rating and votes
+     * @param {number} priorMean - Mean rating to pull towards
+     * @returns {number} - Weighted score (0 for unrated cards)
+     */
+    function computeWeightedScore(ratingData, priorMean) {
+        const { rating, votes } = ratingData;
+        const minVotes = settings.weightedMinVotes;
+        if (rating <= 0) {
+            return 0;
+        }
+        if (votes + minVotes === 0) {
+            return rating;
+        }
+        return (votes * rating + minVotes * priorMean) / (votes + minVotes);
+    }
+
+    /**
+     * Compare rating data using a sort mode (highest first), then by votes
+     * @param {Object} dataA - First card's rating data
+     * @param {Object} dataB - Second card's rating data
+     * @param {number} priorMean - Prior mean for weighted mode
+     * @param {string} mode - 'rating', 'weighted', 'votes' or 'external' (defaults to the configured sort mode)
+     * @returns {number} - Comparison result for Array.sort()
+     */
+    function compareRatingData(dataA, dataB, priorMean, mode = settings.sortMode) {
+        // Boosts from ordering rules shift the score being sorted by, never the vote count
+        const boostA = mode === 'votes' ? 0 : dataA.boost || 0;
+        const boostB = mode === 'votes' ? 0 : dataB.boost || 0;
+        
+        // Weighted mode: by Bayesian average (highest first)
+        if (mode === 'weighted') {
+            const scoreA = (dataA.weightedScore !== undefined ? dataA.weightedScore : computeWeightedScore(dataA, priorMean)) + boostA;
+            const scoreB = (dataB.weightedScore !== undefined ? dataB.weightedScore : computeWeightedScore(dataB, priorMean)) + boostB;
+            if (scoreA !== scoreB) {
+                return scoreB - scoreA;
+            }
+        }
+        
+        // External mode: by AniList/MAL score (highest first), Crunchyroll rating breaks ties
+        if (mode === 'external') {
+            const scoreA = dataA.external ? dataA.external.score + 2 * boostA : 0;
+            const scoreB = dataB.external ? dataB.external.score + 2 * boostB : 0;
+            if (scoreA !== scoreB) {
+                return scoreB - scoreA;
+            }
+        }
+        
+        // Votes mode: by vote count (highest first), rating breaks ties
+        if (mode === 'votes' && dataA.votes !== dataB.votes) {
+            return dataB.votes - dataA.votes;
+        }
+        
+        // Primary sort: by rating (highest first)
+        if (dataA.rating + boostA !== dataB.rating + boostB) {
+            return (dataB.rating + boostB) - (dataA.rating + boostA);
+        }
+        
+        // Secondary sort: by votes (highest first) 
+        return dataB.votes - dataA.votes;
+    }
+
+    /**
+     * Compare card titles alphabetically in the page's language
+     * @param {Object} itemA - First card item with a title
+     * @param {Object} itemB - Second card item with a title
+     * @returns {number} - Comparison result for Array.sort()
+     */
+    function compareTitles(itemA, itemB) {
+        return itemA.title.localeCompare(itemB.title, document.documentElement.lang || undefined, {
+            numeric: true,
+            sensitivity: 'base'
+        });
+    }
+
+    /**
+     * Compare two cards for sorting by rating (highest first), then by votes
+     * @param {Element} cardA - First card to compare
+     * @param {Element} cardB - Second card to compare
+     * @returns {number} - Comparison result for Array.sort()
+     */
+    function compareCards(cardA, cardB) {
+        return compareRatingData(extractRatingData(cardA), extractRatingData(cardB), getPriorMean());
+    }
+
+    /**
+     * Check whether the settings allow automatic sorting of a container type. This is the one gate every sort
+     * mode goes through (see getContainerSortMode); `settings` already holds this tab's popup switches.
+     * @param {string} containerType - 'carousel', 'browse', or 'generic'
+     * @returns {boolean} - Whether this container type may be sorted
+     */
+    function isSortingEnabledFor(containerType) {
+        if (!settings.sortEnabled) {
+            return false;
+        }
+        switch (containerType) {
+            case 'carousel':
+                return settings.sortCarousels;
+            case 'browse':
+                return settings.sortBrowse;
+            case 'list':
+                return settings.sortLists;
+            case 'search':
+                return settings.sortSearch;
+            case 'calendar':
+                return settings.sortCalendar;
+            default:
+                return settings.sortOther;
+        }
+    }
+
+    /**
+     * Identify the kind of Crunchyroll page from the URL (locale prefixes ignored)
+     * @returns {string} - Page type used to remember sort choices
+     */
+    function getPageType() {
+        const path = location.pathname.replace(/^\/[a-z]{2}(-[a-z]{2,3})?(?=\/|$)/i, '') || '/';
+        if (path === '/' || path === '/home') return 'home';
+        if (path.startsWith('/simulcasts')) return 'simulcasts';
+        if (path.startsWith('/simulcastcalendar')) return 'calendar';
+        if (path.startsWith('/videos') || path.startsWith('/browse')) return 'browse';
+        if (path.startsWith('/search')) return 'search';
+        if (path.startsWith('/watchlist') || path.startsWith('/crunchylists')) return 'watchlist';
+        if (path.startsWith('/series')) return 'series';
+        if (path.startsWith('/watch')) return 'watch';
+        return 'other';
+    }
+
+    /**
+     * Sort mode for a container: Crunchyroll's order while sorting is off for it, else its toolbar choice,
+     * then the mode cycled to with the shortcut, then the page type's last choice, then settings
+     * @param {Element} container - The container element
+     * @param {string} containerType - 'carousel', 'browse', or 'generic'
+     * @returns {string} - One of the SORT_MODES keys
+     */
+    function getContainerSortMode(container, containerType) {
+        if (!isSortingEnabledFor(containerType)) {
+            return 'original'; // Turning sorting off always restores Crunchyroll's order, whatever was picked before
+        }
+        if (containerSortModes.has(container)) {
+            return containerSortModes.get(container);
+        }
+        if (cycledSortMode) {
+            return cycledSortMode;
+        }
+        
+        const pageType = getPageType();
+        const pageMode = settings.pageSortModes[pageType];
+        if (SORT_MODES[pageMode]) {
+            return pageMode;
+        }
+        
+        const profile = ROUTE_PROFILES[pageType];
+        if (!profile.containers.includes(containerType)) {
+            return 'original';
+        }
+        return profile.sortMode || settings.sortMode;
+    }
+
+    /**
+     * Switch a container to a sort mode chosen from its toolbar and remember it for this page type
+     * @param {Element} container - The container element
+     * @param {string} mode - One of the SORT_MODES keys
+     */
+    function setContainerSortMode(container, mode) {
+        if (!SORT_MODES[mode]) {
+            return;
+        }
+        
+        containerSortModes.set(container, mode);
+        sortContainer(container, containerTypes.get(container) || 'generic', true, true);
+        rememberPageSortMode(mode);
+    }
+
+    /**
+     * Remember a sort mode as the choice for this page type
+     * @param {string} mode - One of the SORT_MODES keys
+     */
+    function rememberPageSortMode(mode) {
+        const pageSortModes = { ...settings.pageSortModes, [getPageType()]: mode };
+        settings.pageSortModes = pageSortModes;
+        CRSettings.save({ pageSortModes }).catch(error => {
+            Logger.warn('Could not save sort choice:', error);
+        });
+    }
+
+    /**
+     * Make sure a container has its toolbar right above it, showing the current mode and hidden cards
+     * @param {Element} container - The container element
+     * @param {string} mode - Current sort mode of the container
+     */
+    function ensureSortToolbar(container, mode) {
+        let toolbar = sortToolbars.get(container);
+        const hiddenCount = filteredCounts.get(container) || 0;
+        const summary = listSummaries.get(container);
+        
+        // The toolbar stays visible while cards are filtered so they can always be revealed,
+        // and on lists, where it carries the summary
+        if (!settings.showSortToolbar && hiddenCount === 0 && !summary) {
+            if (toolbar) {
+                toolbar.remove();
+            }
+            return;
+        }
+        
+        if (!toolbar) {
+            toolbar = document.createElement('div');
+            toolbar.className = 'crh-sort-toolbar';
+            
+            const summaryText = document.createElement('span');
+            summaryText.className = 'crh-list-summary';
+            
+            const filterToggle = document.createElement('button');
+            filterToggle.type = 'button';
+            filterToggle.className = 'crh-filter-toggle';
+            filterToggle.addEventListener('click', () => {
+                toggleFilteredCards(container);
+            });
+            
+            const label = document.createElement('label');
+            label.className = 'crh-sort-control';
+            label.textContent = 'Sort: ';
+            
+            const select = document.createElement('select');
+            Object.keys(SORT_MODES).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                // Crunchyroll's order of search results is their relevance
+                option.textContent = key === 'original' && containerTypes.get(container) === 'search' ? 'Relevance' : SORT_MODES[key];
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => {
+                setContainerSortMode(container, select.value);
+            });
+            
+            label.appendChild(select);
+            toolbar.appendChild(summaryText);
+            toolbar.appendChild(filterToggle);
+            toolbar.appendChild(label);
+            sortToolbars.set(container, toolbar);
+        }
+        
+        // Re-insert if the site re-rendered the surrounding markup
+        if (container.parentNode && toolbar.nextSibling !== container) {
+            container.parentNode.insertBefore(toolbar, container);
+        }
+        
+        const summaryText = toolbar.querySelector('.crh-list-summary');
+        summaryText.hidden = !summary;
+        summaryText.textContent = summary ? formatListSummary(summary) : '';
+        
+        toolbar.querySelector('.crh-sort-control').hidden = !settings.showSortToolbar;
+        const select = toolbar.querySelector('select');
+        select.value = mode;
+        // A choice would not apply while sorting is off for this kind of container
+        select.disabled = !isSortingEnabledFor(containerTypes.get(container) || 'generic');
+        select.title = select.disabled ? 'Sorting is turned off for these cards' : '';
+        
+        const filterToggle = toolbar.querySelector('.crh-filter-toggle');
+        const verb = settings.filterAction === 'dim' ? 'dimmed' : 'hidden';
+        filterToggle.hidden = hiddenCount === 0;
+        filterToggle.textContent = revealedContainers.has(container) ?
+            `${hiddenCount} filtered — ${settings.filterAction === 'dim' ? 'dim' : 'hide'} again` :
+            `${hiddenCount} ${verb} — show`;
+    }
+
+    /**
+     * Call back for every "type = value" line of a rule setting, skipping blank lines and # comments
+     * @param {string} text - Rule setting text
+     * @param {Function} callback - Called with (type in lowercase with single spaces, value, line); value is '' when the line has no "="
+     */
+    function forEachRuleLine(text, callback) {
+        (text || '').split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) {
+                return;
+            }
+            const separator = trimmed.indexOf('=');
+            if (separator < 0) {
+                callback('', '', trimmed);
+                return;
+            }
+            const type = trimmed.slice(0, separator).trim().toLowerCase().replace(/\s+/g, ' ');
+            callback(type, trimmed.slice(separator + 1).trim(), trimmed);
+        });
+    }
+
+    // A series counts as watched once its progress bar reaches this percentage
+    const WATCHED_PERCENT = 95;
+
+    // The user's hide rules from the hideRules setting, one "type = value" per line:
+    // "series = GRMG8ZQZR # title", "keyword = isekai" or "regex = ^re:zero"
+    const HideRules = {
+        source: null, // Setting text the rules were parsed from
+        rules: [],
+
+        /**
+         * Current rules, parsed again only when the setting changed
+         * @returns {Object[]} - { type, value, test(item) }
+         */
+        get() {
+            if (HideRules.source !== settings.hideRules) {
+                HideRules.source = settings.hideRules;
+                HideRules.rules = HideRules.parse(settings.hideRules);
+            }
+            return HideRules.rules;
+        },
+
+        /**
+         * Parse the rule text, skipping (and reporting) lines that can't be used
+         * @param {string} text - hideRules setting
+         * @returns {Object[]} - Rules
+         */
+        parse(text) {
+            const rules = [];
+            forEachRuleLine(text, (type, value, line) => {
+                if (!value) {
+                    Logger.warn(`Ignoring hide rule "${line}" (expected "series = ID", "keyword = text" or "regex = pattern")`);
+                    return;
+                }
+                
+                switch (type) {
+                    case 'series': {
+                        const seriesId = value.split(/[\s#]/)[0].toUpperCase(); // Text after the ID is a comment
+                        rules.push({ type, value: seriesId, test: item => item.seriesId === seriesId });
+                        break;
+                    }
+                    case 'keyword': {
+                        const keyword = value.toLowerCase();
+                        rules.push({ type, value, test: item => item.title.toLowerCase().includes(keyword) });
+                        break;
+                    }
+                    case 'regex':
+                        try {
+                            const pattern = new RegExp(value, 'i');
+                            rules.push({ type, value, test: item => pattern.test(item.title) });
+                        } catch (error) {
+                            Logger.warn(`Ignoring hide rule with invalid regular expression "${value}":`, error.message);
+                        }
+                        break;
+                    default:
+                        Logger.warn(`Ignoring hide rule of unknown type "${type}"`);
+                }
+            });
+            return rules;
+        }
+    };
+
+    /**
+     * Whether a card's progress bar shows the series as (almost) fully watched
+     * @param {Element} card - Card element
+     * @returns {boolean} - Whether the series is watched
+     */
+    function isFullyWatched(card) {
+        const bar = card.querySelector(SELECTORS.watchProgress);
+        if (!bar) {
+            return false;
+        }
+        const now = parseFloat(bar.getAttribute('aria-valuenow'));
+        const max = parseFloat(bar.getAttribute('aria-valuemax')) || 100;
+        const percent = Number.isFinite(now) ? now / max * 100 : parseFloat(bar.style.width);
+        return percent >= WATCHED_PERCENT;
+    }
+
+    /**
+     * Why a card is hidden by the user's rules, if it is
+     * @param {Object} item - Card item with seriesId, title and element
+     * @returns {string|null} - Matching rule ('watched' or "type = value"), or null
+     */
+    function matchHideRule(item) {
+        if (settings.hideWatched && isFullyWatched(item.element)) {
+            return 'watched';
+        }
+        const rule = HideRules.get().find(candidate => candidate.test(item));
+        return rule ? `${rule.type} = ${rule.value}` : null;
+    }
+
+    /**
+     * Add a rule hiding a card's series, from the card's hide button
+     * @param {Element} card - The anime card element
+     */
+    function hideSeries(card) {
+        const seriesId = getSeriesId(card);
+        if (!seriesId) {
+            return;
+        }
+        const title = getCardTitle(card).replace(/\s+/g, ' ');
+        const rules = settings.hideRules.trim();
+        CRSettings.save({ hideRules: `${rules ? `${rules}\n` : ''}series = ${seriesId} # ${title}` })
+            .then(() => {
+                Logger.log(`Hid "${title}" (${seriesId})`);
+            })
+            .catch(error => {
+                Logger.error('Could not save hide rule:', error);
+            });
+    }
+
+    // Boost amounts are in rating stars; larger ones would just be pins
+    const MAX_BOOST = 5;
+
+    // The user's ordering rules from the orderRules setting, one per line:
+    //   pin = GRMG8ZQZR               pinned series go first, in the order of their pin lines
+    //   boost series = GRMG8ZQZR +0.3 add (or with "-" subtract) stars to a series' sort score
+    //   boost badge = Simulcast +0.2  ... to cards carrying a label such as Simulcast, Dub or New
+    //   boost keyword = isekai -0.2   ... to cards whose title contains the text
+    // Evaluation: hide rules and the filter come first (a hidden card stays hidden even if pinned);
+    // then pins; then every matching boost is added up. Boosts only change rating, weighted and
+    // external sorting (counted double on the 10-point external scale) and are ignored for unrated
+    // cards; pins apply to every sort mode except Crunchyroll order.
+    const OrderRules = {
+        source: null, // Setting text the rules were parsed from
+        pins: [], // Series IDs in pin order
+        boosts: [], // { type, value, amount, test(item) }
+
+        /**
+         * Parse the setting again if it changed since the last call
+         */
+        update() {
+            if (OrderRules.source === settings.orderRules) {
+                return;
+            }
+            OrderRules.source = settings.orderRules;
+            OrderRules.pins = [];
+            OrderRules.boosts = [];
+            
+            forEachRuleLine(settings.orderRules, (type, rawValue, line) => {
+                const value = rawValue.replace(/\s+#.*$/, ''); // Trailing comment
+                const boost = value.match(/^(.+?)\s+([+-]?\d+(?:[.,]\d+)?)$/);
+                const amount = boost ? Math.max(-MAX_BOOST, Math.min(MAX_BOOST, parseFloat(boost[2].replace(',', '.')))) : 0;
+                const target = boost ? boost[1].trim() : '';
+                
+                switch (type) {
+                    case 'pin':
+                        if (value) {
+                            OrderRules.pins.push(value.split(/\s/)[0].toUpperCase());
+                            return;
+                        }
+                        break;
+                    case 'boost series':
+                        if (boost) {
+                            const seriesId = target.toUpperCase();
+                            OrderRules.boosts.push({ type, value: seriesId, amount, test: item => item.seriesId === seriesId });
+                            return;
+                        }
+                        break;
+                    case 'boost badge':
+                        if (boost) {
+                            const label = new RegExp(`(^|[^\\p{L}])${target.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}])`, 'iu');
+                            OrderRules.boosts.push({ type, value: target, amount, test: item => item.tags.some(tag => label.test(tag)) });
+                            return;
+                        }
+                        break;
+                    case 'boost keyword':
+                        if (boost) {
+                            const keyword = target.toLowerCase();
+                            OrderRules.boosts.push({ type, value: target, amount, test: item => item.title.toLowerCase().includes(keyword) });
+                            return;
+                        }
+                        break;
+                }
+                Logger.warn(`Ignoring ordering rule "${line}" (expected "pin = ID" or "boost series|badge|keyword = value +amount")`);
+            });
+        },
+
+        /**
+         * Position of a card's series among the pins
+         * @param {Object} item - Card item with seriesId
+         * @returns {number} - 0-based pin position, or -1 when not pinned
+         */
+        pinIndex(item) {
+            OrderRules.update();
+            return item.seriesId ? OrderRules.pins.indexOf(item.seriesId) : -1;
+        },
+
+        /**
+         * Sum of all boosts matching a card
+         * @param {Object} item - Card item with seriesId, title and tags
+         * @returns {number} - Boost in rating stars
+         */
+        boostFor(item) {
+            OrderRules.update();
+            return OrderRules.boosts.reduce((total, rule) => rule.test(item) ? total + rule.amount : total, 0);
+        }
+    };
+
+    /**
+     * Labels shown on a card, such as "Simulcast", "Dub" or "New"
+     * @param {Element} card - Card element
+     * @returns {string[]} - Label texts
+     */
+    function getCardTags(card) {
+        return readCached(card, 'tags', () => Array.from(card.querySelectorAll(SELECTORS.cardTags))
+            .filter(element => !element.closest('.crh-rating-badge-host'))
+            .map(element => element.textContent.trim())
+            .filter(Boolean));
+    }
+
+    /**
+     * Move pinned cards to the front, in pin order
+     * @param {Element[]} orderedElements - Card elements in sorted order
+     * @param {Object[]} cardItems - All card items of the container
+     * @returns {Element[]} - Order with pinned cards first
+     */
+    function applyPins(orderedElements, cardItems) {
+        const pinned = cardItems
+            .filter(item => item.pinIndex >= 0 && !item.hiddenBy)
+            .sort((a, b) => a.pinIndex - b.pinIndex)
+            .map(item => item.element);
+        if (pinned.length === 0) {
+            return orderedElements;
+        }
+        const pinnedSet = new Set(pinned);
+        return [...pinned, ...orderedElements.filter(element => !pinnedSet.has(element))];
+    }
+
+    /**
+     * Whether a card falls below the rating/vote thresholds or the unrated-card policy (only while the filter is on)
+     * @param {Object} item - Card item with rating and votes
+     * @returns {boolean} - Whether the card should be filtered out
+     */
+    function isFilteredOut(item) {
+        if (!settings.filterEnabled) {
+            return false;
+        }
+        if (item.rating <= 0) {
+            return settings.unratedPolicy === 'hide';
+        }
+        return item.rating < settings.filterMinRating || item.votes < settings.filterMinVotes;
+    }
+
+    /**
+     * Hide or dim a container's cards that don't pass the filter
+     * @param {Element} container - The container element
+     * @param {Object[]} cardItems - Card items computed by sortContainer
+     * @returns {number} - Number of filtered cards
+     */
+    function applyFilter(container, cardItems) {
+        const revealed = revealedContainers.has(container);
+        let filteredCount = 0;
+        
+        cardItems.forEach(item => {
+            item.filtered = Boolean(item.hiddenBy) || isFilteredOut(item);
+            if (item.filtered) {
+                filteredCount++;
+            }
+            // Cards hidden by the user's rules are always hidden, never just dimmed
+            const concealed = item.filtered && !revealed;
+            const action = item.hiddenBy ? 'hide' : settings.filterAction;
+            item.element.classList.toggle('crh-filtered-hidden', concealed && action === 'hide');
+            item.element.classList.toggle('crh-filtered-dim', concealed && action === 'dim');
+        });
+        
+        filteredCounts.set(container, filteredCount);
+        if (filteredCount === 0) {
+            revealedContainers.delete(container);
+        }
+        return filteredCount;
+    }
+
+    /**
+     * Show a container's filtered cards, or hide them again
+     * @param {Element} container - The container element
+     */
+    function toggleFilteredCards(container) {
+        if (revealedContainers.has(container)) {
+            revealedContainers.delete(container);
+        } else {
+            revealedContainers.add(container);
+        }
+        sortContainer(container, containerTypes.get(container) || 'generic', true, true);
+    }
+
+    /**
+     * Add or remove the sort toolbars of all containers on the page
+     */
+    function refreshSortToolbars() {
+        refreshContainerMap();
+        knownContainers.forEach((containerType, container) => {
+            ensureSortToolbar(container, getContainerSortMode(container, containerType));
+        });
+    }
+
+    /**
+     * Remember Crunchyroll's order of a container's cards. A newly loaded card goes before the known card that
+     * follows it: the site inserts cards before the one it expects next (e.g. search results re-rendered while
+     * typing), even when we have reordered them, and appends lazy-loaded cards at the end.
+     * @param {Element} container - The container element
+     * @param {Element[]} elements - Movable card elements in current DOM order
+     * @returns {Element[]} - Cards still in the container, in original order
+     */
+    function recordOriginalOrder(container, elements) {
+        const order = (originalOrders.get(container) || []).filter(element => element.parentNode === container);
+        const known = new Set(order);
+        const insertions = new Map(); // Known card -> new cards found right before it
+        let pending = [];
+        elements.forEach(element => {
+            if (!known.has(element)) {
+                pending.push(element);
+            } else if (pending.length > 0) {
+                insertions.set(element, pending);
+                pending = [];
+            }
+        });
+        
+        const merged = order.flatMap(element => [...(insertions.get(element) || []), element]).concat(pending);
+        originalOrders.set(container, merged);
+        return merged;
+    }
+
+    /**
+     * Indexes of the longest increasing run (not necessarily contiguous) in a list of numbers
+     * @param {number[]} values - Current positions of the cards, in target order (-1 for cards not yet in place)
+     * @returns {Set<number>} - Indexes into values of the cards that can stay where they are
+     */
+    function longestIncreasingSubsequence(values) {
+        const tails = []; // tails[length - 1] = index of the smallest value ending a run of that length
+        const previous = new Array(values.length).fill(-1);
+        values.forEach((value, index) => {
+            if (value < 0) {
+                return;
+            }
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (values[tails[middle]] < value) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            previous[index] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = index;
+        });
+        
+        const kept = new Set();
+        for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+            kept.add(index);
+        }
+        return kept;
+    }
+
+    /**
+     * Whether a rectangle overlaps the viewport
+     * @param {DOMRect} rect - Element rectangle
+     * @returns {boolean} - True when at least part of it is on screen
+     */
+    function isInViewport(rect) {
+        return rect.width > 0 && rect.bottom > 0 && rect.right > 0 &&
+            rect.top < window.innerHeight && rect.left < window.innerWidth;
+    }
+
+    /**
+     * Whether card moves should be animated
+     * @returns {boolean} - True unless turned off, the tab is hidden or the system asks for reduced motion
+     */
+    function shouldAnimateReorder() {
+        if (!settings.animateReorder || document.hidden) {
+            return false;
+        }
+        return !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * The card the user is looking at in a container they have scrolled into, so reordering can keep it in place
+     * @param {Element} container - The container element
+     * @param {Element[]} elements - Cards of the container
+     * @returns {Object|null} - { element, left, top }, or null when the container is at its start or off screen
+     */
+    function findScrollAnchor(container, elements) {
+        const containerRect = container.getBoundingClientRect();
+        if (!isInViewport(containerRect)) {
+            return null;
+        }
+        // Scrolled along the carousel, or down past the top of the grid
+        if (container.scrollLeft <= 0 && containerRect.top >= 0) {
+            return null;
+        }
+        
+        const visibleLeft = Math.max(containerRect.left, 0);
+        for (const element of elements) {
+            const rect = element.getBoundingClientRect();
+            if (isInViewport(rect) && rect.top >= Math.min(containerRect.top, 0) && rect.left >= visibleLeft - 1) {
+                return { element, left: rect.left, top: rect.top };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Scroll so the anchor card is back where it was before the reorder
+     * @param {Element} container - The container element
+     * @param {Object} anchor - Result of findScrollAnchor
+     */
+    function restoreScrollAnchor(container, anchor) {
+        const rect = anchor.element.getBoundingClientRect();
+        const deltaX = rect.left - anchor.left;
+        const deltaY = rect.top - anchor.top;
+        if (deltaX !== 0 && container.scrollWidth > container.clientWidth) {
+            container.scrollLeft += deltaX;
+        }
+        if (deltaY !== 0) {
+            window.scrollBy(0, deltaY);
+        }
+    }
+
+    /**
+     * Move cards into the given order, keeping any other cards after them. Only cards outside the longest run
+     * already in order are moved, the card the user scrolled to stays in place, and on-screen cards slide from
+     * their old positions to the new ones.
+     * @param {Element} container - The container element
+     * @param {Element[]} orderedElements - Cards in their new order
+     * @param {Element[]} allElements - Every movable card in the container
+     */
+    function applyOrder(container, orderedElements, allElements) {
+        const placed = new Set(orderedElements);
+        // Remaining (e.g. non-rated) cards go at the end
+        const target = [
+            ...orderedElements,
+            ...allElements.filter(element => !placed.has(element) && element.parentNode === container)
+        ];
+        
+        // Leave the container alone when its cards already are in this order
+        const targetSet = new Set(target);
+        const current = Array.from(container.children).filter(element => targetSet.has(element));
+        if (current.length === target.length && current.every((element, index) => element === target[index])) {
+            return;
+        }
+        
+        // Read positions before writing anything
+        const anchor = findScrollAnchor(container, current);
+        const firstRects = new Map();
+        if (shouldAnimateReorder() && isInViewport(container.getBoundingClientRect())) {
+            current.forEach(element => {
+                const rect = element.getBoundingClientRect();
+                if (isInViewport(rect)) {
+                    firstRects.set(element, rect);
+                }
+            });
+        }
+        
+        // Cards keep their place relative to other children (e.g. ads); the last one goes before the first of those
+        const lastCurrent = current[current.length - 1];
+        let end = lastCurrent ? lastCurrent.nextSibling : null;
+        while (end && targetSet.has(end)) {
+            end = end.nextSibling;
+        }
+        
+        const positions = new Map(current.map((element, index) => [element, index]));
+        const kept = longestIncreasingSubsequence(target.map(element => positions.has(element) ? positions.get(element) : -1));
+        let moved = 0;
+        for (let index = target.length - 1; index >= 0; index--) {
+            if (!kept.has(index)) {
+                container.insertBefore(target[index], index + 1 < target.length ? target[index + 1] : end);
+                moved++;
+            }
+        }
+        Logger.debug(`Moved ${moved} of ${target.length} cards`);
+        
+        if (anchor) {
+            restoreScrollAnchor(container, anchor);
+        }
+        
+        firstRects.forEach((first, element) => {
+            const last = element.getBoundingClientRect();
+            const deltaX = first.left - last.left;
+            const deltaY = first.top - last.top;
+            if ((deltaX !== 0 || deltaY !== 0) && typeof element.animate === 'function') {
+                element.animate([
+                    { transform: `translate(${deltaX}px, ${deltaY}px)` },
+                    { transform: 'none' }
+                ], { duration: REORDER_ANIMATION_DURATION, easing: 'ease-out' });
+            }
+        });
+    }
+
+    // Reorders put off while the user is pointing at or tabbing through a container, so cards don't jump away
+    // from under them; they run once the pointer and focus have left the container.
+    const Interaction = {
+        pointerTarget: null, // Element under the mouse pointer
+        deferred: new Map(), // Container -> type, waiting for the user to leave
+        resumeTimeout: null,
+
+        /**
+         * Whether the user is pointing at or keyboard-focused inside a container
+         * @param {Element} container - The container element
+         * @returns {boolean} - True when reordering it now would move cards under the user
+         */
+        isActive(container) {
+            if (Interaction.pointerTarget && container.contains(Interaction.pointerTarget)) {
+                return true;
+            }
+            const focused = document.activeElement;
+            if (!focused || focused === document.body || !container.contains(focused)) {
+                return false;
+            }
+            try {
+                return focused.matches(':focus-visible'); // Keyboard focus; a clicked card keeps focus after the pointer left
+            } catch (error) {
+                return true;
+            }
+        },
+
+        /**
+         * Sort a container once the user has left it
+         * @param {Element} container - The container element
+         * @param {string} containerType - Container type
+         */
+        defer(container, containerType) {
+            if (!Interaction.deferred.has(container)) {
+                Logger.debug(`Reordering ${containerType} container when the user leaves it`);
+            }
+            Interaction.deferred.set(container, containerType);
+        },
+
+        /**
+         * Sort the waiting containers the user has left, shortly after they did
+         */
+        scheduleResume() {
+            if (Interaction.deferred.size === 0) {
+                return;
+            }
+            clearTimeout(Interaction.resumeTimeout);
+            Interaction.resumeTimeout = setTimeout(() => {
+                Interaction.deferred.forEach((containerType, container) => {
+                    if (!container.isConnected) {
+                        Interaction.deferred.delete(container);
+                    } else if (!Interaction.isActive(container)) {
+                        Interaction.deferred.delete(container);
+                        sortContainer(container, containerType, true);
+                    }
+                });
+            }, INTERACTION_RESUME_DELAY);
+        },
+
+        /**
+         * Track the element under the pointer
+         * @param {PointerEvent} event - pointerover event
+         */
+        handlePointerOver(event) {
+            Interaction.pointerTarget = event.target;
+        },
+
+        /**
+         * Notice the pointer leaving the window
+         * @param {PointerEvent} event - pointerout event
+         */
+        handlePointerOut(event) {
+            if (!event.relatedTarget) {
+                Interaction.pointerTarget = null;
+            }
+            Interaction.scheduleResume();
+        },
+
+        /**
+         * Start tracking pointer and focus
+         */
+        watch() {
+            document.addEventListener('pointerover', Interaction.handlePointerOver, true);
+            document.addEventListener('pointerout', Interaction.handlePointerOut, true);
+            document.addEventListener('focusout', Interaction.scheduleResume, true);
+        },
+
+        /**
+         * Forget waiting reorders (e.g. after navigating to another page)
+         */
+        reset() {
+            Interaction.deferred.clear();
+            clearTimeout(Interaction.resumeTimeout);
+        }
+    };
+
+    /**
+     * Summary of a watchlist or Crunchylist for its header
+     * @param {Object[]} cardItems - Card items with rating data
+     * @returns {Object} - { count, average, unrated }
+     */
+    function summarizeList(cardItems) {
+        const ratings = cardItems.map(item => item.rating).filter(rating => rating > 0);
+        return {
+            count: cardItems.length,
+            average: ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null,
+            unrated: cardItems.length - ratings.length
+        };
+    }
+
+    /**
+     * Header text of a list summary, e.g. "24 series · ★ 4.62 average · 3 unrated"
+     * @param {Object} summary - Result of summarizeList
+     * @returns {string} - Summary text
+     */
+    function formatListSummary(summary) {
+        const parts = [`${summary.count} series`];
+        if (summary.average !== null) {
+            parts.push(`★ ${formatNumber(summary.average, 2)} average`);
+        }
+        if (summary.unrated > 0) {
+            parts.push(`${summary.unrated} unrated`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Unified container sorting function - handles all container types
+     * @param {Element} container - The container element
+     * @param {string} containerType - 'carousel', 'browse', 'list', 'search', 'calendar', or 'generic'
+     * @param {boolean} forceSort - Force sorting even if already processed
+     * @param {boolean} immediate - Reorder even while the user is in the container (they asked for it)
+     * @returns {boolean} - Whether sorting was performed
+     */
+    function sortContainer(container, containerType = 'generic', forceSort = false, immediate = false) {
+        containerTypes.set(container, containerType);
+        const mode = getContainerSortMode(container, containerType);
+        ensureSortToolbar(container, mode);
+        
+        if (!forceSort && processedContainers.has(container)) {
+            return false; // Already sorted
+        }
+
+        Performance.start(`sort-${containerType}`);
+        try {
+            Logger.debug(`Sorting ${containerType} container by ${mode}: "${container.className}"`);
+            
+            // Determine card selector based on container type
+            let cardSelector, needsWrapper = false;
+            switch (containerType) {
+                case 'carousel':
+                    cardSelector = SELECTORS.carouselCard;
+                    needsWrapper = true; // Carousel cards need wrapper elements
+                    break;
+                case 'browse':
+                    cardSelector = SELECTORS.browseCard;
+                    break;
+                case 'list':
+                    cardSelector = SELECTORS.listCard;
+                    break;
+                case 'search':
+                    cardSelector = SELECTORS.searchCard;
+                    break;
+                case 'calendar':
+                    cardSelector = SELECTORS.calendarEntry;
+                    break;
+                default: // generic
+                    // Try the resolved card selector, then fallback selectors for generic containers
+                    cardSelector = [SELECTORS.innerCard, ...SELECTORS.cardFallbacks].find(selector => {
+                        try {
+                            return container.querySelectorAll(selector).length > 0;
+                        } catch (error) {
+                            Logger.debug(`Fallback selector "${selector}" failed:`, error.message);
+                            return false;
+                        }
+                    });
+                    if (!cardSelector) {
+                        Logger.debug('No valid card selector found for generic container');
+                        Diagnostics.recordSort(container, { mode, outcome: 'no card selector' });
+                        return false;
+                    }
+            }
+            
+            const cards = Array.from(container.querySelectorAll(cardSelector));
+            Logger.debug(`Found ${cards.length} ${containerType} cards`);
+            
+            if (cards.length < 2) {
+                Logger.debug(`Not enough cards to sort (${cards.length})`);
+                Diagnostics.recordSort(container, { mode, cards: cards.length, outcome: 'too few cards' });
+                return false;
+            }
+
+            const originalOrder = recordOriginalOrder(container, cards);
+
+            // Extract rating data for every card
+            const cardItems = cards.map(card => {
+                try {
+                    // Find the inner card element for rating extraction
+                    const innerCard = needsWrapper ? 
+                        card.querySelector(SELECTORS.innerCard) || card : 
+                        card.querySelector(SELECTORS.innerCard) || card;
+                    
+                    if (!innerCard) return null;
+                    
+                    // Show the card's rating badge
+                    annotateCard(innerCard);
+                    
+                    return {
+                        element: card, // The element to move (wrapper for carousels, card for others)
+                        innerCard: innerCard,
+                        seriesId: getSeriesId(innerCard),
+                        title: getCardTitle(innerCard),
+                        ...extractRatingData(innerCard)
+                    };
+                } catch (error) {
+                    Diagnostics.failedCards.add(card.querySelector(SELECTORS.innerCard) || card);
+                    Logger.error('Error processing card:', error);
+                    return null;
+                }
+            }).filter(Boolean);
+            // In external mode, cards with only an AniList/MAL score count as rated too
+            const cardsWithRatings = cardItems.filter(item => item.rating > 0 || (mode === 'external' && item.external));
+
+            Logger.debug(`Cards with ratings: [${cardsWithRatings.map(c => `"${c.title}" (${c.rating})`).join(', ')}]`);
+            
+            if (containerType === 'list') {
+                listSummaries.set(container, summarizeList(cardItems));
+            }
+            
+            // Apply the user's hide rules, then the filter, before reordering so hidden cards are known whatever the sort mode;
+            // then look up the ordering rules, which only apply to cards that stay visible
+            cardItems.forEach(item => {
+                item.hiddenBy = matchHideRule(item);
+                item.tags = getCardTags(item.element);
+                item.pinIndex = OrderRules.pinIndex(item);
+                item.boost = item.rating > 0 ? OrderRules.boostFor(item) : 0;
+            });
+            const filteredCount = applyFilter(container, cardItems);
+            ensureSortToolbar(container, mode);
+            if (filteredCount > 0) {
+                Logger.debug(`Filtered ${filteredCount} of ${cardItems.length} cards`);
+            }
+            
+            let orderedElements;
+            if (mode === 'original') {
+                if (!reorderedContainers.has(container)) {
+                    processedContainers.add(container);
+                    Diagnostics.recordSort(container, { mode, cards: cards.length, outcome: 'kept' });
+                    return false; // Still in Crunchyroll's order, nothing to restore
+                }
+                orderedElements = originalOrder;
+            } else if (mode === 'title' || mode === 'titleDesc') {
+                const direction = mode === 'title' ? 1 : -1;
+                orderedElements = applyPins(cardItems
+                    .slice()
+                    .sort((a, b) => direction * compareTitles(a, b))
+                    .map(item => item.element), cardItems);
+            } else {
+                if (cardsWithRatings.length < 2) {
+                    Logger.debug('Not enough rated cards to sort');
+                    Diagnostics.recordSort(container, { mode, cards: cards.length, outcome: 'too few rated cards' });
+                    return false;
+                }
+
+                // Sort by rating, weighted score or votes (highest first)
+                const priorMean = getPriorMean();
+                cardsWithRatings.forEach(item => {
+                    item.weightedScore = computeWeightedScore(item, priorMean);
+                });
+                cardsWithRatings.sort((a, b) => compareRatingData(a, b, priorMean, mode));
+                orderedElements = cardsWithRatings.map(item => item.element);
+                
+                // Unrated cards keep their original slots instead of moving to the end
+                if (settings.unratedPolicy === 'show') {
+                    const rated = new Set(orderedElements);
+                    const sortedRated = orderedElements;
+                    let next = 0;
+                    orderedElements = originalOrder.map(element => rated.has(element) ? sortedRated[next++] : element);
+                }
+
+                orderedElements = applyPins(orderedElements, cardItems);
+
+                Logger.debug(`Sorted order: [${cardsWithRatings.map(c => `"${c.title}" (${c.rating}${c.boost ? ` ${c.boost > 0 ? '+' : ''}${c.boost}` : ''})`).join(', ')}]`);
+            }
+
+            // Reorder DOM elements in the next frame, together with other pending writes, unless the user is in the container
+            try {
+                DomBatch.write(container, () => {
+                    if (!immediate && settings.deferWhileInteracting && Interaction.isActive(container)) {
+                        Interaction.defer(container, containerType);
+                        return;
+                    }
+                    Interaction.deferred.delete(container);
+                    applyOrder(container, orderedElements, cards);
+                });
+                if (mode === 'original') {
+                    reorderedContainers.delete(container);
+                } else {
+                    reorderedContainers.add(container);
+                }
+                
+                processedContainers.add(container);
+                const duration = Performance.end(`sort-${containerType}`);
+                Diagnostics.recordSort(container, { mode, cards: cards.length, outcome: 'sorted', duration });
+                Logger.success(`Sorted ${orderedElements.length} ${containerType} cards by ${mode} ${duration ? `in ${duration.toFixed(1)}ms` : ''}`);
+                return true;
+                
+            } catch (error) {
+                Diagnostics.recordSort(container, { mode, cards: cards.length, outcome: 'error', error: error.message });
+                Logger.error('Error during DOM manipulation:', error);
+                return false;
+            }
+        } finally {
+            Performance.end(`sort-${containerType}`); // Ensure timer cleanup on the early returns
+        }
+    }
+
+    /**
+     * Enhanced container sorting with smart detection and fallbacks
+     * @param {boolean} forceResort - Force re-sorting of all containers, even previously processed ones
+     * @param {boolean} immediate - Reorder even containers the user is in (they asked for it)
+     */
+    function sortAllContainers(forceResort = false, immediate = false) {
+        Performance.start('sortAllContainers');
+        Logger.log(`Starting container detection and sorting${forceResort ? ' (forced re-sort)' : ''}`);
+        
+        try {
+            refreshContainerMap(forceResort);
+            
+            let sortedCount = 0;
+            let newContent = false;
+            const errors = [];
+            let index = 0;
+            
+            // Containers are marked for sorting when new cards show up in them (see markContainerForSorting)
+            knownContainers.forEach((containerType, container) => {
+                index++;
+                try {
+                    const needs = containersNeedingSort.has(container);
+                    if (processedContainers.has(container) && !forceResort && !needs) {
+                        return;
+                    }
+                    
+                    Logger.debug(`Processing ${containerType} container ${index}/${knownContainers.size}${needs ? ' (needs sorting)' : ''}`);
+                    if (sortContainer(container, containerType, forceResort || needs, immediate)) {
+                        sortedCount++;
+                    }
+                    if (needs) {
+                        newContent = true;
+                        containersNeedingSort.delete(container); // Clear the flag
+                    }
+                } catch (error) {
+                    errors.push(`${containerType} ${index}: ${error.message}`);
+                    Diagnostics.recordSort(container, { outcome: 'error', error: error.message });
+                    Logger.error(`Error sorting ${containerType} container ${index}:`, error);
+                }
+            });
+            
+            const duration = Performance.end('sortAllContainers');
+            
+            const totalContainers = knownContainers.size;
+            if (sortedCount > 0) {
+                const reason = newContent ? ' (new content detected)' : forceResort ? ' (forced re-sort)' : '';
+                Logger.success(`Sorted ${sortedCount} containers${reason} ${duration ? `in ${duration.toFixed(1)}ms` : ''}`);
+            } else if (totalContainers === 0) {
+                Logger.warn(`No containers were sorted - may need selector updates (${SelectorEngine.describe()})`);
+            } else {
+                Logger.debug(`None of ${totalContainers} containers needed sorting`);
+            }
+            
+            if (errors.length > 0) {
+                Logger.warn(`${errors.length} errors occurred during sorting:`, errors);
+            }
+            
+            if (getPageType() === 'calendar') {
+                renderCalendarTop();
+            }
+            
+            return { sortedCount, errors };
+            
+        } catch (error) {
+            Logger.error('Critical error in sortAllContainers:', error);
+            Performance.end('sortAllContainers'); // Ensure timer cleanup
+            return { sortedCount: 0, errors: [error.message] };
+        }
+    }
+
+    // Episodes marked in highlight mode
+    const TOP_EPISODE_COUNT = 3;
+
+    /**
+     * The watch page header holding the series link, treated like a card by the rating pipeline
+     * @returns {Element|null} - Header element, or null when not on a watch page
+     */
+    function getWatchHeader() {
+        if (getPageType() !== 'watch') {
+            return null;
+        }
+        const link = document.querySelector(SELECTORS.watchSeriesLink);
+        return link && link.parentElement ? link.parentElement : null;
+    }
+
+    /**
+     * Show the series rating next to the series link on the watch page, fetching it if needed
+     */
+    function annotateWatchHeader() {
+        const header = getWatchHeader();
+        if (!header) {
+            return;
+        }
+        annotateCard(header);
+        requestMissingRatings([header]);
+        requestExternalScores([header]);
+    }
+
+    /**
+     * Score of an episode card: its rating where Crunchyroll shows one, otherwise its like count
+     * @param {Element} card - Episode card
+     * @returns {Object|null} - { kind: 'rating'|'likes', score, votes }, or null when it shows neither
+     */
+    function readEpisodeScore(card) {
+        const ratingElement = card.querySelector(SELECTORS.rating);
+        const rating = ratingElement ? parseLocaleNumber(ratingElement.textContent.trim()) || 0 : 0;
+        if (rating > 0) {
+            const votesElement = card.querySelector(SELECTORS.votes);
+            return { kind: 'rating', score: rating, votes: votesElement ? parseVoteCount(votesElement.textContent) : 0 };
+        }
+        
+        const likesElement = card.querySelector(SELECTORS.episodeLikes);
+        const likes = likesElement ? parseVoteCount(likesElement.textContent) : 0;
+        return likes > 0 ? { kind: 'likes', score: likes, votes: likes } : null;
+    }
+
+    /**
+     * Compare episode scores, best first (ratings outrank like counts, votes break ties)
+     * @param {Object} a - First episode item
+     * @param {Object} b - Second episode item
+     * @returns {number} - Sort order
+     */
+    function compareEpisodeScores(a, b) {
+        if (a.kind !== b.kind) {
+            return a.kind === 'rating' ? -1 : 1;
+        }
+        return (b.score - a.score) || (b.votes - a.votes);
+    }
+
+    /**
+     * Show or remove the rank marker of a highlighted episode or calendar entry. Only changes are written:
+     * the marker sits inside the card, so every write would be seen as new card content.
+     * @param {Element} element - Episode or calendar entry element
+     * @param {number} rank - 1-based rank, or 0 to remove the marker
+     */
+    function setRankMarker(element, rank) {
+        let marker = element.querySelector('.crh-rank-marker');
+        if (element.classList.contains('crh-ranked') !== rank > 0) {
+            element.classList.toggle('crh-ranked', rank > 0);
+        }
+        if (rank === 0) {
+            if (marker) {
+                marker.remove();
+            }
+            return;
+        }
+        if (!marker) {
+            marker = document.createElement('span');
+            marker.className = 'crh-rank-marker';
+            element.prepend(marker);
+        }
+        if (marker.textContent !== `#${rank}`) {
+            marker.textContent = `#${rank}`;
+        }
+    }
+
+    /**
+     * Rank the episodes of every season list on a series page by rating or likes:
+     * 'highlight' marks the best episodes, 'sort' reorders the list, 'off' restores it
+     */
+    function rankEpisodeLists() {
+        document.querySelectorAll(SELECTORS.episodeList).forEach(list => {
+            // Move the list's direct children, which may wrap the cards
+            const items = Array.from(list.querySelectorAll(SELECTORS.episodeCard)).map(card => {
+                let element = card;
+                while (element.parentElement && element.parentElement !== list) {
+                    element = element.parentElement;
                 }
-            });
+                return { element, ...readEpisodeScore(card) };
+            }).filter(item => item.element.parentElement === list);
             
-            container.appendChild(fragment);
+            const elements = items.map(item => item.element);
+            const originalOrder = recordOriginalOrder(list, elements);
+            const ranked = items.filter(item => item.kind).sort(compareEpisodeScores);
+            const mode = ranked.length >= 2 ? settings.episodeRanking : 'off';
             
-            // Handle carousel-specific behavior (scroll reset)
-            if (containerType === 'carousel' || container.className.includes('carousel') || container.className.includes('scroller')) {
-                setTimeout(() => {
-                    container.scrollLeft = 0;
-                    Logger.debug('Carousel scrolled to show highest rated content');
-                }, 50);
+            const ranks = new Map();
+            if (mode === 'highlight') {
+                ranked.slice(0, TOP_EPISODE_COUNT).forEach((item, index) => ranks.set(item.element, index + 1));
             }
+            elements.forEach(element => setRankMarker(element, ranks.get(element) || 0));
             
-            processedContainers.add(container);
-            const duration = Performance.end(`sort-${containerType}`);
-            Logger.success(`Sorted ${cardsWithRatings.length} ${containerType} cards ${duration ? `in ${duration.toFixed(1)}ms` : ''}`);
-            return true;
-            
-        } catch (error) {
-            Logger.error('Error during DOM manipulation:', error);
-            return false;
+            if (mode === 'sort') {
+                DomBatch.write(list, () => applyOrder(list, ranked.map(item => item.element), originalOrder));
+                reorderedContainers.add(list);
+                Logger.debug(`Sorted ${ranked.length} episodes by ${ranked[0].kind}`);
+            } else if (reorderedContainers.has(list)) {
+                DomBatch.write(list, () => applyOrder(list, originalOrder, elements));
+                reorderedContainers.delete(list);
+            }
+        });
+    }
+
+    // Entries listed in the calendar's "top rated this week" summary
+    const CALENDAR_TOP_COUNT = 5;
+
+    /**
+     * Short weekday of the calendar day a release list belongs to
+     * @param {Element} container - Release list of one day
+     * @returns {string} - e.g. "Tue", or '' when the day has no date heading
+     */
+    function getCalendarDay(container) {
+        let day = container.parentElement;
+        while (day && !day.querySelector(SELECTORS.calendarDate)) {
+            day = day.parentElement;
         }
+        const dateElement = day && day.querySelector(SELECTORS.calendarDate);
+        if (!dateElement) {
+            return '';
+        }
+        const time = dateElement.querySelector('time[datetime]');
+        const date = time ? new Date(time.getAttribute('datetime')) : null;
+        if (date && !isNaN(date)) {
+            return date.toLocaleDateString(document.documentElement.lang || undefined, { weekday: 'short' });
+        }
+        return dateElement.textContent.trim().split(/\s+/)[0];
     }
 
     /**
-     * Enhanced container sorting with smart detection and fallbacks
-     * @param {boolean} forceResort - Force re-sorting of all containers, even previously processed ones
+     * Show the best rated series releasing this week above the simulcast calendar, and mark their entries
      */
-    function sortAllContainers(forceResort = false) {
-        Performance.start('sortAllContainers');
-        Logger.log(`Starting container detection and sorting${forceResort ? ' (forced re-sort)' : ''}`);
+    function renderCalendarTop() {
+        const days = Array.from(knownContainers).filter(([, containerType]) => containerType === 'calendar').map(([container]) => container);
+        const entries = new Map(); // Series ID (or title) -> { entries[], title, url, rating data, day }
+        days.forEach(container => {
+            const day = getCalendarDay(container);
+            container.querySelectorAll(SELECTORS.calendarEntry).forEach(entry => {
+                const ratingData = extractRatingData(entry);
+                const key = getSeriesId(entry) || getCardTitle(entry);
+                if (entries.has(key)) {
+                    entries.get(key).entries.push(entry);
+                } else if (ratingData.rating > 0) {
+                    const link = getTitleElement(entry).closest('a[href]');
+                    entries.set(key, { entries: [entry], title: getCardTitle(entry), url: link ? link.href : '', day, ...ratingData });
+                }
+            });
+        });
         
-        try {
-            const detected = detectAllContainers();
-            Logger.debug(`Container detection: ${detected.carousels.length} carousels, ${detected.browse.length} browse, ${detected.unknown.length} unknown`);
+        const top = settings.showCalendarTop ?
+            Array.from(entries.values()).sort((a, b) => compareRatingData(a, b, null, 'rating')).slice(0, CALENDAR_TOP_COUNT) : [];
+        const ranks = new Map();
+        top.forEach((item, index) => item.entries.forEach(entry => ranks.set(entry, index + 1)));
+        // Batched, so the observer records of the marker writes are dropped with the other writes of the frame
+        DomBatch.write('calendarRanks', () => {
+            days.forEach(container => {
+                container.querySelectorAll(SELECTORS.calendarEntry).forEach(entry => setRankMarker(entry, ranks.get(entry) || 0));
+            });
+        });
+        
+        let summary = document.querySelector('.crh-calendar-top');
+        if (top.length === 0) {
+            if (summary) {
+                summary.remove();
+            }
+            return;
+        }
+        if (!summary) {
+            summary = document.createElement('section');
+            summary.className = 'crh-calendar-top';
+            const heading = document.createElement('h2');
+            heading.textContent = 'Top rated releases this week';
+            summary.appendChild(heading);
+            summary.appendChild(document.createElement('ol'));
+        }
+        
+        const list = summary.querySelector('ol');
+        list.textContent = '';
+        top.forEach(item => {
+            const entry = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = item.url;
+            link.textContent = item.title;
+            entry.appendChild(link);
+            entry.appendChild(document.createTextNode(` ★ ${formatRating(item.rating)}${item.day ? ` · ${item.day}` : ''}`));
+            list.appendChild(entry);
+        });
+        
+        // Above the element holding every day of the week
+        let week = days[0];
+        while (week.parentElement && week.parentElement !== document.body && !days.every(day => week.contains(day))) {
+            week = week.parentElement;
+        }
+        if (summary.nextSibling !== week) {
+            week.parentNode.insertBefore(summary, week);
+        }
+    }
+
+    /**
+     * Process all anime cards on the page
+     */
+    function processAllCards() {
+        SelectorEngine.refresh();
+        
+        // Series and watch pages have their own elements besides any recommendation cards
+        annotateWatchHeader();
+        if (getPageType() === 'series') {
+            rankEpisodeLists();
+        }
+        
+        // Look for carousel, browse and list cards (using inner cards for rating injection)
+        const innerCards = document.querySelectorAll(allCardsSelector());
+        
+        if (innerCards.length === 0) {
+            if (!hasFoundCards && retryCount < settings.maxRetries) {
+                Logger.debug(`No cards found, retrying in 800ms (attempt ${retryCount + 1}/${settings.maxRetries})`);
+                retryCount++;
+                setTimeout(processAllCards, 800);
+                return;
+            }
+            // Stop retrying if we've found cards before or hit max retries
+            return;
+        }
+        
+        // We found cards!
+        if (!hasFoundCards) {
+            hasFoundCards = true;
+            Logger.info(`Found ${innerCards.length} cards to process`);
+        }
+        
+        if (processCards(Array.from(innerCards)) > 0) {
+            scheduleSort();
+        }
+        
+        retryCount = 0; // Reset retry count on successful processing
+    }
+
+    /**
+     * Annotate cards and ask for the ratings they lack
+     * @param {Element[]} cards - Inner card elements
+     * @returns {number} - Number of cards newly found to have a rating
+     */
+    function processCards(cards) {
+        let processedCount = 0;
+        cards.forEach(card => {
+            try {
+                if (annotateCard(card)) {
+                    processedCount++;
+                }
+            } catch (error) {
+                Diagnostics.failedCards.add(card);
+                Logger.error('Error processing card:', error);
+            }
+        });
+        Diagnostics.scheduleRender();
+        
+        requestMissingRatings(cards);
+        requestExternalScores(cards);
+        
+        if (processedCount > 0) {
+            Logger.success(`Processed ${processedCount} new cards with ratings`);
             
-            let sortedCount = 0;
-            let newContent = false;
-            const errors = [];
+            // New ratings shift the page mean, so shown weighted scores need an update
+            if (settings.injectRatings && settings.showWeightedScore && settings.weightedMeanSource === 'page') {
+                refreshRatingBadges();
+            }
+        }
+        return processedCount;
+    }
+
+    /**
+     * Process only the cards the MutationObserver reported as added or changed
+     */
+    function processPendingCards() {
+        incrementalTimeout = null;
+        const cards = Array.from(pendingCards).filter(card => card.isConnected);
+        pendingCards = new Set();
+        if (cards.length === 0) {
+            return;
+        }
+        
+        Performance.start('processPendingCards');
+        SelectorEngine.refresh();
+        hasFoundCards = true;
+        processCards(cards);
+        // New or changed cards, rated or not, change their container's order
+        cards.forEach(markContainerForSorting);
+        scheduleSort();
+        const duration = Performance.end('processPendingCards');
+        Logger.debug(`Processed ${cards.length} added or changed cards${duration ? ` in ${duration.toFixed(1)}ms` : ''}`);
+    }
+
+    /**
+     * Sort containers with new content after the sort delay, once for a burst of changes
+     */
+    function scheduleSort() {
+        if (sortTimeout) {
+            return;
+        }
+        sortTimeout = setTimeout(() => {
+            sortTimeout = null;
+            sortAllContainers();
+        }, settings.sortDelay); // Small delay to ensure DOM is stable
+    }
+
+    /**
+     * Debounced version of processAllCards to avoid excessive processing
+     */
+    function debouncedProcessCards() {
+        if (debounceTimeout) {
+            clearTimeout(debounceTimeout);
+        }
+        
+        debounceTimeout = setTimeout(() => {
+            processAllCards();
+        }, settings.debounceDelay);
+    }
+
+    /**
+     * Queue the cards added or changed by a batch of mutations; only elements that may hold episode lists
+     * or the watch page header still trigger a full scan
+     * @param {MutationRecord[]} mutations - Records from the MutationObserver
+     */
+    function handleMutations(mutations) {
+        RouteWatcher.check(); // Catches navigations the history hooks missed
+        if (mutations.length === 0) {
+            return;
+        }
+        
+        const cardSelector = allCardsSelector();
+        const fullScanSelector = `${SELECTORS.episodeCard}, ${SELECTORS.watchSeriesLink}`;
+        let needsFullScan = false;
+        
+        /**
+         * Queue a card and forget what was read from it
+         * @param {Element} card - Added or changed card
+         */
+        const queueCard = card => {
+            invalidateCardCache(card);
+            pendingCards.add(card);
+        };
+        
+        mutations.forEach(mutation => {
+            // Content changed inside a card, e.g. its rating appeared or the site reused it for another series
+            const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+            const changedCard = target && target.closest(cardSelector);
+            if (changedCard) {
+                queueCard(changedCard);
+            }
+            const changedWrapper = target && target.closest(SELECTORS.carouselCard);
+            if (changedWrapper) {
+                invalidateCardCache(changedWrapper);
+            }
             
-            /**
-             * Check if container needs sorting
-             * @param {Element} container - The container to check
-             * @returns {boolean} - Whether container needs sorting
-             */
-            function needsSorting(container) {
-                const wasMarked = containersNeedingSort.has(container);
-                const innerCards = container.querySelectorAll(SELECTORS.innerCard);
-                const newCards = Array.from(innerCards).filter(card => !processedCards.has(card));
-                
-                Logger.debug(`Container "${container.className}": ${innerCards.length} total cards, ${newCards.length} unprocessed cards, marked for sorting: ${wasMarked}`);
-                
-                return wasMarked || newCards.length > 0;
+            if (mutation.type !== 'childList') {
+                return;
+            }
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE || node.classList.contains('crh-rating-badge-host')) {
+                    return;
+                }
+                if (node.matches(cardSelector)) {
+                    queueCard(node);
+                } else {
+                    node.querySelectorAll(cardSelector).forEach(queueCard);
+                }
+                if (node.matches(fullScanSelector) || node.querySelector(fullScanSelector)) {
+                    needsFullScan = true;
+                }
+            });
+        });
+        
+        if (needsFullScan || !hasFoundCards) {
+            Logger.debug('New cards detected via MutationObserver');
+            pendingCards = new Set();
+            debouncedProcessCards();
+        } else if (pendingCards.size > 0 && !incrementalTimeout) {
+            incrementalTimeout = setTimeout(processPendingCards, settings.debounceDelay);
+        }
+    }
+
+    /**
+     * Set up MutationObserver to handle dynamic content
+     */
+    function setupObserver() {
+        if (observer) {
+            observer.disconnect();
+        }
+        
+        observer = new MutationObserver(handleMutations);
+
+        // Start observing the document body
+        if (document.body) {
+            observer.observe(document.body, {
+                childList: true,
+                characterData: true, // Ratings and titles changing inside cards the site reuses
+                subtree: true,
+                attributes: false
+            });
+            Logger.info('MutationObserver set up successfully');
+        } else {
+            // If body doesn't exist yet, wait for it
+            setTimeout(setupObserver, 100);
+        }
+    }
+
+    // Columns of a page export, in CSV column order
+    const EXPORT_FIELDS = [
+        'title', 'seriesId', 'url', 'rating', 'votes', 'ratingSource',
+        'externalProvider', 'externalScore', 'externalUrl', 'container', 'position', 'badges'
+    ];
+
+    /**
+     * Remember a card for the page export; a series seen in several places is kept once,
+     * where it was seen first while that card is still on the page. Its row is read again on every call,
+     * so a card the site removes before the export still has its last known row.
+     * @param {Element} card - The anime card element
+     */
+    function registerCard(card) {
+        const seriesId = getSeriesId(card);
+        const key = seriesId || `title:${getCardTitle(card).toLowerCase()}`;
+        let entry = pageRegistry.get(key);
+        if (!entry) {
+            entry = { card, container: null, row: null };
+            pageRegistry.set(key, entry);
+        } else if (entry.card !== card && !entry.card.isConnected) {
+            entry.card = card;
+        }
+        if (entry.card === card) {
+            snapshotEntry(entry);
+        }
+    }
+
+    /**
+     * Sorted container the card is shown in
+     * @param {Element} card - The anime card element
+     * @returns {Element|null} - Container, or null for cards outside sorted containers (e.g. the watch page header)
+     */
+    function getCardContainer(card) {
+        for (let element = card.parentElement; element; element = element.parentElement) {
+            if (containerTypes.has(element)) {
+                return element;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read a registered card's export row as it is shown right now; the container column holds only the
+     * container type until collectExportRows numbers the containers
+     * @param {Object} entry - Page registry entry, its container and row are updated
+     */
+    function snapshotEntry(entry) {
+        const card = entry.card;
+        const ratingData = extractRatingData(card);
+        const seriesId = getSeriesId(card);
+        const titleElement = getTitleElement(card);
+        const link = (titleElement && titleElement.closest('a[href]')) || card.querySelector('a[href*="/series/"]');
+        const container = getCardContainer(card);
+        const position = container ?
+            Array.from(container.querySelectorAll(allCardsSelector())).indexOf(card) + 1 : 0;
+        
+        entry.container = container;
+        entry.row = {
+            title: getCardTitle(card),
+            seriesId: seriesId || '',
+            url: link ? link.href : '',
+            rating: ratingData.rating || null,
+            votes: ratingData.rating > 0 ? ratingData.votes : null,
+            ratingSource: ratingData.source,
+            externalProvider: ratingData.external ? settings.externalProvider : '',
+            externalScore: ratingData.external ? ratingData.external.score : null,
+            externalUrl: ratingData.external ? ratingData.external.url || '' : '',
+            container: container ? containerTypes.get(container) : getPageType(),
+            position: position || null,
+            badges: getCardTags(card)
+        };
+    }
+
+    /**
+     * Rows for every card seen on this page: cards still on the page in their current document order, then
+     * cards the site has since removed (e.g. scrolled out of a virtualized list) with what was last read from them
+     * @returns {Object[]} - Export rows
+     */
+    function collectExportRows() {
+        const entries = Array.from(pageRegistry.values());
+        const documentOrder = (a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        const connected = entries
+            .filter(entry => entry.card.isConnected)
+            .sort((a, b) => documentOrder(a.card, b.card));
+        connected.forEach(snapshotEntry);
+        const removed = entries.filter(entry => !entry.card.isConnected);
+        
+        // Number the containers in document order so "carousel 2" means the second row of the page; a removed
+        // card keeps its container's number while that container is still on the page
+        const containers = Array.from(new Set(entries.map(entry => entry.container)))
+            .filter(container => container && container.isConnected)
+            .sort(documentOrder);
+        const containerNumbers = new Map(containers.map((container, index) => [container, index + 1]));
+        
+        return [...connected, ...removed].map(entry => (containerNumbers.has(entry.container) ?
+            { ...entry.row, container: `${entry.row.container} ${containerNumbers.get(entry.container)}` } :
+            entry.row));
+    }
+
+    /**
+     * Format export rows as CSV (RFC 4180 quoting, badges joined with "; ")
+     * @param {Object[]} rows - Export rows
+     * @returns {string} - CSV text
+     */
+    function formatCsv(rows) {
+        const quote = value => {
+            const text = Array.isArray(value) ? value.join('; ') : value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [EXPORT_FIELDS.join(','), ...rows.map(row => EXPORT_FIELDS.map(field => quote(row[field])).join(','))];
+        return `\uFEFF${lines.join('\r\n')}\r\n`; // The byte order mark makes spreadsheet apps read the titles as UTF-8
+    }
+
+    /**
+     * Download the ratings of every card seen on this page
+     * @param {string} format - 'csv' or 'json'
+     * @returns {Object} - { count, filename }
+     */
+    function exportPage(format) {
+        const rows = collectExportRows();
+        const pageType = getPageType();
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `crunchyroll-${pageType}-${date}.${format === 'json' ? 'json' : 'csv'}`;
+        const content = format === 'json' ?
+            JSON.stringify({ page: location.href, pageType, exportedAt: new Date().toISOString(), cards: rows }, null, 2) :
+            formatCsv(rows);
+        
+        const url = URL.createObjectURL(new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        Logger.info(`Exported ${rows.length} cards to ${filename}`);
+        return { count: rows.length, filename };
+    }
+
+    /**
+     * What the popup shows about this page: counts, average and best rated series, and the tab's toggles
+     * @returns {Object} - { pageType, locale, cards, series, rated, containers, sortedContainers, average, top, settings }
+     */
+    function getPageSummary() {
+        const rows = collectExportRows();
+        const rated = rows.filter(row => row.rating > 0);
+        refreshContainerMap();
+        const containers = Array.from(knownContainers.keys());
+        
+        return {
+            pageType: getPageType(),
+            locale: getPageLocale(), // The popup formats ratings like the badges on this page
+            cards: document.querySelectorAll(allCardsSelector()).length,
+            series: rows.filter(row => row.seriesId).map(({ seriesId, title }) => ({ seriesId, title })),
+            seen: rows.length,
+            rated: rated.length,
+            containers: containers.length,
+            sortedContainers: containers.filter(container => reorderedContainers.has(container)).length,
+            average: rated.length ? rated.reduce((sum, row) => sum + row.rating, 0) / rated.length : null,
+            top: rated
+                .slice()
+                .sort((a, b) => compareRatingData(a, b, null, 'rating'))
+                .slice(0, TOP_TITLE_COUNT)
+                .map(({ title, seriesId, url, rating, votes }) => ({ title, seriesId, url, rating, votes })),
+            settings: Object.fromEntries(TAB_SETTINGS.map(key => [key, settings[key]])),
+            overridden: Object.keys(tabOverrides),
+            diagnostics: Diagnostics.visible
+        };
+    }
+
+    /**
+     * Switch settings for this tab only (from the toolbar popup). They go into `settings` like stored changes,
+     * so turning sorting off here restores Crunchyroll's order even where a sort mode was remembered.
+     * @param {Object} changes - Setting name -> value, limited to TAB_SETTINGS
+     */
+    function setTabSettings(changes) {
+        const changed = {};
+        Object.entries(changes || {}).forEach(([key, value]) => {
+            if (TAB_SETTINGS.includes(key) && typeof value === 'boolean' && settings[key] !== value) {
+                tabOverrides[key] = value;
+                changed[key] = value;
+            }
+        });
+        if (Object.keys(changed).length > 0) {
+            Logger.info('Switched for this tab:', changed);
+            handleSettingsChange(changed);
+        }
+    }
+
+    /**
+     * Apply settings changed for all tabs; they replace this tab's own choice for the same setting
+     * @param {Object} changed - Changed settings (normalized)
+     */
+    function handleStoredSettingsChange(changed) {
+        Object.keys(changed).forEach(key => {
+            delete tabOverrides[key];
+        });
+        handleSettingsChange(changed);
+    }
+
+    /**
+     * Briefly show a confirmation at the bottom of the page
+     * @param {string} message - Text to show
+     */
+    function showToast(message) {
+        let toast = document.querySelector('.crh-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.className = 'crh-toast';
+            toast.setAttribute('role', 'status');
+            document.body.appendChild(toast);
+        }
+        toast.textContent = message;
+        toast.classList.add('crh-toast--visible');
+        clearTimeout(toastTimeout);
+        toastTimeout = setTimeout(() => toast.classList.remove('crh-toast--visible'), TOAST_DURATION);
+    }
+
+    // Overlay showing what the script found on the page: containers outlined by type and by how they were found,
+    // cards marked rated / unrated / failed, and a panel with sort results, timings and recent errors. Its report
+    // leaves out titles, series IDs and the user's own rules so it can be pasted into a public bug report.
+    const Diagnostics = {
+        visible: false,
+        panel: null,
+        renderTimeout: null,
+        RENDER_DELAY: 250,
+        sortResults: new WeakMap(), // Container -> { mode, cards, outcome, duration, error, at } of its latest sort
+        failedCards: new WeakSet(), // Cards that threw while being read or annotated
+
+        /**
+         * Remember the outcome of sorting a container
+         * @param {Element} container - The container element
+         * @param {Object} result - { mode, cards, outcome, duration, error }
+         */
+        recordSort(container, result) {
+            Diagnostics.sortResults.set(container, { ...result, at: Date.now() });
+            Diagnostics.scheduleRender();
+        },
+
+        /**
+         * Update the overlay shortly, once for a burst of changes
+         */
+        scheduleRender() {
+            if (!Diagnostics.visible || Diagnostics.renderTimeout) {
+                return;
+            }
+            Diagnostics.renderTimeout = setTimeout(() => {
+                Diagnostics.renderTimeout = null;
+                Diagnostics.render();
+            }, Diagnostics.RENDER_DELAY);
+        },
+
+        /**
+         * Show or hide the overlay
+         * @param {boolean} visible - Whether to show it
+         */
+        setVisible(visible) {
+            Diagnostics.visible = visible;
+            if (visible) {
+                Diagnostics.render();
+            } else {
+                Diagnostics.clear();
             }
-            
-            // Sort carousel containers
-            detected.carousels.forEach((container, index) => {
-                try {
-                    const isProcessed = processedContainers.has(container);
-                    const needs = needsSorting(container);
-                    const shouldSort = !isProcessed || forceResort || needs;
-                    
-                    if (shouldSort) {
-                        Logger.debug(`Processing carousel ${index + 1}/${detected.carousels.length}${needs ? ' (needs sorting)' : ''}`);
-                        if (sortContainer(container, 'carousel', forceResort || needs)) {
-                            sortedCount++;
-                            if (needs) {
-                                newContent = true;
-                                containersNeedingSort.delete(container); // Clear the flag
-                            }
-                        }
-                    }
-                } catch (error) {
-                    errors.push(`Carousel ${index}: ${error.message}`);
-                    Logger.error(`Error sorting carousel ${index}:`, error);
-                }
+        },
+
+        /**
+         * State of a card as the overlay shows it
+         * @param {Element} card - Inner card element
+         * @returns {string} - 'failed', 'rated' or 'unrated'
+         */
+        cardStatus(card) {
+            if (Diagnostics.failedCards.has(card)) {
+                return 'failed';
+            }
+            try {
+                return hasAnyRating(extractRatingData(card)) ? 'rated' : 'unrated';
+            } catch (error) {
+                return 'failed';
+            }
+        },
+
+        /**
+         * How a container was found, from its detection tier and the strategy of the selector that matched it
+         * @param {Element} container - The container element
+         * @param {string} containerType - Container type
+         * @returns {string} - 'exact', 'override', 'prefix', 'heuristic', 'fallback' or 'structure'
+         */
+        foundBy(container, containerType) {
+            const tier = containerTiers.get(container) || 'structure';
+            if (tier !== 'primary') {
+                return tier;
+            }
+            const role = {
+                carousel: 'carouselContainer', browse: 'browseContainer', list: 'listContainer', search: 'searchContainer',
+                calendar: 'calendarDay'
+            }[containerType];
+            const resolved = role && SelectorEngine.strategies[role];
+            return resolved && resolved.strategy !== 'none' ? resolved.strategy : 'exact';
+        },
+
+        /**
+         * Gather what the overlay and the report show
+         * @returns {Object} - { pageType, cards, containers[] }
+         */
+        collect() {
+            refreshContainerMap();
+            const cards = { rated: 0, unrated: 0, failed: 0 };
+            const statuses = new Map();
+            document.querySelectorAll(allCardsSelector()).forEach(card => {
+                const status = Diagnostics.cardStatus(card);
+                statuses.set(card, status);
+                cards[status]++;
             });
             
-            // Sort browse containers
-            detected.browse.forEach((container, index) => {
-                try {
-                    const isProcessed = processedContainers.has(container);
-                    const needs = needsSorting(container);
-                    const shouldSort = !isProcessed || forceResort || needs;
-                    
-                    if (shouldSort) {
-                        Logger.debug(`Processing browse ${index + 1}/${detected.browse.length}${needs ? ' (needs sorting)' : ''}`);
-                        if (sortContainer(container, 'browse', forceResort || needs)) {
-                            sortedCount++;
-                            if (needs) {
-                                newContent = true;
-                                containersNeedingSort.delete(container); // Clear the flag
-                            }
-                        }
+            const containers = Array.from(knownContainers, ([container, containerType], index) => {
+                const counts = { rated: 0, unrated: 0, failed: 0 };
+                statuses.forEach((status, card) => {
+                    if (container.contains(card)) {
+                        counts[status]++;
                     }
-                } catch (error) {
-                    errors.push(`Browse ${index}: ${error.message}`);
-                    Logger.error(`Error sorting browse container ${index}:`, error);
-                }
+                });
+                return {
+                    container,
+                    index: index + 1,
+                    type: containerType,
+                    foundBy: Diagnostics.foundBy(container, containerType),
+                    ...counts,
+                    sort: Diagnostics.sortResults.get(container) || null
+                };
             });
+            return { pageType: getPageType(), cards, statuses, containers };
+        },
+
+        /**
+         * Short text for a container's latest sort
+         * @param {Object|null} sort - Entry of sortResults
+         * @returns {string} - e.g. "rating, 4.2 ms"
+         */
+        describeSort(sort) {
+            if (!sort) {
+                return 'not sorted yet';
+            }
+            if (sort.outcome === 'sorted') {
+                return `${sort.mode}${sort.duration !== undefined ? `, ${sort.duration.toFixed(1)} ms` : ''}`;
+            }
+            return sort.outcome === 'error' ? `error: ${sort.error}` : `${sort.mode ? `${sort.mode}, ` : ''}${sort.outcome}`;
+        },
+
+        /**
+         * Mark containers and cards and fill the panel
+         */
+        render() {
+            if (!Diagnostics.visible || !document.body) {
+                return;
+            }
+            const data = Diagnostics.collect();
             
-            // Handle unknown containers with smart type detection
-            detected.unknown.forEach(({ container, cards }, index) => {
-                try {
-                    const isProcessed = processedContainers.has(container);
-                    const needs = needsSorting(container);
-                    const shouldSort = !isProcessed || forceResort || needs;
-                    
-                    if (shouldSort) {
-                        Logger.debug(`Processing unknown container ${index + 1}/${detected.unknown.length} (${cards} cards)${needs ? ' (needs sorting)' : ''}`);
-                        
-                        // Determine container type based on structure
-                        let containerType = 'generic';
-                        if (container.querySelector(SELECTORS.carouselCard)) {
-                            containerType = 'carousel';
-                        } else if (container.querySelector(SELECTORS.browseCard)) {
-                            containerType = 'browse';
-                        }
-                        
-                        Logger.debug(`Unknown container ${index} detected as: ${containerType}`);
-                        
-                        if (sortContainer(container, containerType, forceResort || needs)) {
-                            sortedCount++;
-                            if (needs) {
-                                newContent = true;
-                                containersNeedingSort.delete(container); // Clear the flag
-                            }
-                        }
-                    }
-                } catch (error) {
-                    errors.push(`Unknown ${index}: ${error.message}`);
-                    Logger.error(`Error sorting unknown container ${index}:`, error);
-                }
+            Diagnostics.clearMarks();
+            data.containers.forEach(({ container, type, foundBy, index }) => {
+                container.dataset.crhDiagnostics = type;
+                container.dataset.crhDiagnosticsTier = foundBy;
+                container.dataset.crhDiagnosticsIndex = index;
+            });
+            data.statuses.forEach((status, card) => {
+                card.dataset.crhDiagnosticsCard = status;
             });
             
-            const duration = Performance.end('sortAllContainers');
+            let panel = Diagnostics.panel;
+            if (!panel || !panel.isConnected) {
+                panel = document.createElement('section');
+                panel.className = 'crh-diagnostics';
+                panel.setAttribute('aria-label', 'Rating Helper diagnostics');
+                Diagnostics.panel = panel;
+                document.body.appendChild(panel);
+            }
+            panel.textContent = '';
             
-            if (sortedCount > 0) {
-                const reason = newContent ? ' (new content detected)' : forceResort ? ' (forced re-sort)' : '';
-                Logger.success(`Sorted ${sortedCount} containers by rating${reason} ${duration ? `in ${duration.toFixed(1)}ms` : ''}`);
+            /**
+             * Add an element with text to a parent
+             * @param {Element} parent - Parent element
+             * @param {string} tag - Tag name
+             * @param {string} text - Text content
+             * @returns {Element} - The new element
+             */
+            const add = (parent, tag, text = '') => {
+                const element = document.createElement(tag);
+                element.textContent = text;
+                parent.appendChild(element);
+                return element;
+            };
+            
+            const header = add(panel, 'header');
+            add(header, 'strong', 'Rating Helper diagnostics');
+            const copyButton = add(header, 'button', 'Copy report');
+            copyButton.type = 'button';
+            copyButton.addEventListener('click', () => Diagnostics.copyReport());
+            const closeButton = add(header, 'button', '✕');
+            closeButton.type = 'button';
+            closeButton.title = 'Close';
+            closeButton.addEventListener('click', () => Diagnostics.setVisible(false));
+            
+            const { rated, unrated, failed } = data.cards;
+            add(panel, 'p', `${data.pageType} page · ${rated + unrated + failed} cards: ${rated} rated, ${unrated} unrated, ${failed} failed`);
+            add(panel, 'p', `Selectors: ${SelectorEngine.describe()}`).className = 'crh-diagnostics__selectors';
+            
+            if (data.containers.length === 0) {
+                add(panel, 'p', 'No containers found');
             } else {
-                Logger.warn('No containers were sorted - may need selector updates');
+                const table = add(panel, 'table');
+                const head = add(add(table, 'thead'), 'tr');
+                ['#', 'Type', 'Found by', 'Cards', 'Last sort'].forEach(label => add(head, 'th', label));
+                const body = add(table, 'tbody');
+                data.containers.forEach(entry => {
+                    const row = add(body, 'tr');
+                    row.dataset.type = entry.type;
+                    add(row, 'td', String(entry.index));
+                    add(row, 'td', entry.type);
+                    add(row, 'td', entry.foundBy);
+                    add(row, 'td', `${entry.rated}/${entry.rated + entry.unrated + entry.failed}${entry.failed ? ` (${entry.failed} failed)` : ''}`);
+                    add(row, 'td', Diagnostics.describeSort(entry.sort));
+                    row.title = 'Scroll to this container';
+                    row.addEventListener('click', () => entry.container.scrollIntoView({ block: 'center' }));
+                });
             }
             
-            if (errors.length > 0) {
-                Logger.warn(`${errors.length} errors occurred during sorting:`, errors);
+            const timings = Array.from(Performance.last)
+                .filter(([label]) => !label.startsWith('sort-'))
+                .map(([label, duration]) => `${label} ${duration.toFixed(1)} ms`);
+            if (timings.length > 0) {
+                add(panel, 'p', `Timings: ${timings.join(', ')}`);
             }
             
-            return { sortedCount, errors };
+            if (recentErrors.length > 0) {
+                const list = add(panel, 'ul');
+                list.className = 'crh-diagnostics__errors';
+                recentErrors.slice(-5).forEach(entry => {
+                    add(list, 'li', `${new Date(entry.at).toLocaleTimeString()} ${entry.message}`);
+                });
+            }
+        },
+
+        /**
+         * Remove the marks from containers and cards
+         */
+        clearMarks() {
+            document.querySelectorAll('[data-crh-diagnostics]').forEach(container => {
+                delete container.dataset.crhDiagnostics;
+                delete container.dataset.crhDiagnosticsTier;
+                delete container.dataset.crhDiagnosticsIndex;
+            });
+            document.querySelectorAll('[data-crh-diagnostics-card]').forEach(card => {
+                delete card.dataset.crhDiagnosticsCard;
+            });
+        },
+
+        /**
+         * Remove the overlay
+         */
+        clear() {
+            clearTimeout(Diagnostics.renderTimeout);
+            Diagnostics.renderTimeout = null;
+            Diagnostics.clearMarks();
+            if (Diagnostics.panel) {
+                Diagnostics.panel.remove();
+                Diagnostics.panel = null;
+            }
+        },
+
+        /**
+         * Remove query strings and fragments from URLs in a message, and cap its length
+         * @param {string} text - Message text
+         * @returns {string} - Sanitized text
+         */
+        sanitize(text) {
+            return String(text).replace(/(https?:\/\/[^\s?#"']*)[?#][^\s"']*/g, '$1').slice(0, 300);
+        },
+
+        /**
+         * Diagnostic report for bug reports: page type and path, selector strategies, containers, counts, timings,
+         * settings and errors; without card titles, series IDs, or the user's hide and ordering rules
+         * @returns {Object} - Report
+         */
+        buildReport() {
+            const data = Diagnostics.collect();
+            const reportedSettings = { ...settings };
+            ['hideRules', 'orderRules'].forEach(key => {
+                const lines = reportedSettings[key].split('\n').filter(line => line.trim()).length;
+                reportedSettings[key] = `(${lines} rules)`;
+            });
             
-        } catch (error) {
-            Logger.error('Critical error in sortAllContainers:', error);
-            Performance.end('sortAllContainers'); // Ensure timer cleanup
-            return { sortedCount: 0, errors: [error.message] };
+            return {
+                generatedAt: new Date().toISOString(),
+                version: browser.runtime.getManifest ? browser.runtime.getManifest().version : null,
+                userAgent: navigator.userAgent,
+                page: { type: data.pageType, path: location.pathname, language: document.documentElement.lang || null },
+                selectors: SelectorEngine.strategies,
+                cards: data.cards,
+                containers: data.containers.map(entry => ({
+                    type: entry.type,
+                    foundBy: entry.foundBy,
+                    className: typeof entry.container.className === 'string' ? entry.container.className : '',
+                    rated: entry.rated,
+                    unrated: entry.unrated,
+                    failed: entry.failed,
+                    sort: entry.sort && { ...entry.sort, error: entry.sort.error && Diagnostics.sanitize(entry.sort.error) }
+                })),
+                timings: Object.fromEntries(Performance.last),
+                settings: reportedSettings,
+                errors: recentErrors.map(entry => ({
+                    at: new Date(entry.at).toISOString(),
+                    message: Diagnostics.sanitize(entry.message)
+                }))
+            };
+        },
+
+        /**
+         * Copy the report to the clipboard, or show it for copying by hand when that isn't allowed
+         * @returns {Promise<void>}
+         */
+        copyReport() {
+            const text = JSON.stringify(Diagnostics.buildReport(), null, 2);
+            const copy = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject(new Error('No clipboard'));
+            return copy
+                .then(() => showToast('Diagnostic report copied'))
+                .catch(error => {
+                    Logger.debug('Could not copy the diagnostic report:', error.message);
+                    if (!Diagnostics.panel) {
+                        return;
+                    }
+                    const field = document.createElement('textarea');
+                    field.readOnly = true;
+                    field.value = text;
+                    field.setAttribute('aria-label', 'Diagnostic report');
+                    Diagnostics.panel.appendChild(field);
+                    field.select();
+                    showToast('Copy the report from the box below the table');
+                });
         }
-    }
+    };
 
     /**
-     * Process all anime cards on the page
+     * Turn sorting and rating badges off for this tab, or back to the saved settings (on, if those are off too)
+     * @returns {Promise<boolean>} - Whether the tab is now on
      */
-    function processAllCards() {
-        // Look for both carousel and browse cards (using inner cards for rating injection)
-        const innerCards = document.querySelectorAll(SELECTORS.innerCard);
-        
-        if (innerCards.length === 0) {
-            if (!hasFoundCards && retryCount < CONFIG.MAX_RETRIES) {
-                Logger.debug(`No cards found, retrying in 800ms (attempt ${retryCount + 1}/${CONFIG.MAX_RETRIES})`);
-                retryCount++;
-                setTimeout(processAllCards, 800);
-                return;
+    function toggleTab() {
+        if (settings.sortEnabled || settings.injectRatings) {
+            setTabSettings({ sortEnabled: false, injectRatings: false });
+            return Promise.resolve(false);
+        }
+        return CRSettings.load().then(stored => {
+            TAB_SETTINGS.forEach(key => {
+                delete tabOverrides[key];
+            });
+            if (!stored.sortEnabled && !stored.injectRatings) {
+                setTabSettings({ sortEnabled: true, injectRatings: true });
+                return true;
             }
-            // Stop retrying if we've found cards before or hit max retries
-            return;
+            const changed = {};
+            TAB_SETTINGS.forEach(key => {
+                if (settings[key] !== stored[key]) {
+                    changed[key] = stored[key];
+                }
+            });
+            handleSettingsChange(changed);
+            return true;
+        });
+    }
+
+    /**
+     * Why sorting has no effect on this page, if it has none
+     * @returns {string|null} - Message for a toast, or null when at least some cards are sorted
+     */
+    function describeSortingOff() {
+        if (!settings.sortEnabled) {
+            return tabOverrides.sortEnabled === false ? 'Sorting is off for this tab' : 'Sorting is off in the settings';
         }
-        
-        // We found cards!
-        if (!hasFoundCards) {
-            hasFoundCards = true;
-            Logger.info(`Found ${innerCards.length} cards to process`);
+        refreshContainerMap();
+        const types = Array.from(knownContainers.values());
+        if (types.length > 0 && !types.some(containerType => isSortingEnabledFor(containerType))) {
+            return 'Sorting is off for the rows on this page';
+        }
+        return null;
+    }
+
+    /**
+     * Switch every container on the page to the sort mode after the current one. The choice lasts until the
+     * next navigation; only a pick from a sort menu is remembered for the page type.
+     * @returns {string|null} - The new sort mode, or null while sorting is off
+     */
+    function cycleSortMode() {
+        if (describeSortingOff()) {
+            return null;
         }
         
-        let processedCount = 0;
-        innerCards.forEach(card => {
-            try {
-                const wasProcessed = processedCards.has(card);
-                addRatingToTitle(card);
-                if (!wasProcessed && processedCards.has(card)) {
-                    processedCount++;
-                }
-            } catch (error) {
-                console.error('Crunchyroll Helper: Error processing card:', error);
-            }
-        });
+        const modes = Object.keys(SORT_MODES).filter(mode => mode !== 'external' || settings.externalProvider !== 'none');
+        const pageType = getPageType();
+        const pageMode = SORT_MODES[settings.pageSortModes[pageType]] ? settings.pageSortModes[pageType] : null;
+        const current = cycledSortMode || pageMode || ROUTE_PROFILES[pageType].sortMode || settings.sortMode;
+        const mode = modes[(modes.indexOf(current) + 1) % modes.length];
         
-        if (processedCount > 0) {
-            Logger.success(`Processed ${processedCount} new cards with ratings`);
-            
-            // After processing ratings, sort containers by rating
-            setTimeout(() => {
-                sortAllContainers();
-            }, CONFIG.SORT_DELAY); // Small delay to ensure DOM is stable
+        containerSortModes = new WeakMap(); // Menu choices of single containers give way to the page-wide one
+        cycledSortMode = mode;
+        sortAllContainers(true, true);
+        return mode;
+    }
+
+    /**
+     * Run a keyboard shortcut command (from the manifest commands or an in-page key press)
+     * @param {string} name - Command name from CRSettings.COMMANDS
+     * @returns {Promise<void>}
+     */
+    function runCommand(name) {
+        const now = Date.now();
+        if (lastCommand.name === name && now - lastCommand.at < COMMAND_DEDUPE_WINDOW) {
+            return Promise.resolve(); // Same key press, delivered both ways
         }
+        lastCommand = { name, at: now };
+        Logger.log(`Running command ${name}`);
         
-        retryCount = 0; // Reset retry count on successful processing
+        switch (name) {
+            case 'resort':
+                processAllCards();
+                sortAllContainers(true, true);
+                showToast(describeSortingOff() || 'Sorted again');
+                return Promise.resolve();
+            case 'toggle-tab':
+                return toggleTab().then(on => {
+                    showToast(on ? 'Rating Helper on for this tab' : 'Rating Helper off for this tab');
+                });
+            case 'cycle-sort-mode': {
+                const mode = cycleSortMode();
+                showToast(mode ? `Sort: ${SORT_MODES[mode]}` : describeSortingOff());
+                return Promise.resolve();
+            }
+            default:
+                Logger.warn(`Unknown command "${name}"`);
+                return Promise.resolve();
+        }
     }
 
+    // KeyboardEvent.code -> key name in a shortcut
+    const SHORTCUT_CODE_NAMES = {
+        Comma: 'Comma', Period: 'Period', Space: 'Space', Home: 'Home', End: 'End', PageUp: 'PageUp', PageDown: 'PageDown',
+        Insert: 'Insert', Delete: 'Delete', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right'
+    };
+
     /**
-     * Debounced version of processAllCards to avoid excessive processing
+     * Shortcut text of a key press, in the form the shortcut settings use
+     * @param {KeyboardEvent} event - keydown event
+     * @returns {string|null} - e.g. "Alt+Shift+R", or null for keys a shortcut cannot use
      */
-    function debouncedProcessCards() {
-        if (debounceTimeout) {
-            clearTimeout(debounceTimeout);
+    function shortcutFromEvent(event) {
+        const match = event.code.match(/^(?:Key|Digit)([A-Z0-9])$|^(F\d{1,2})$/);
+        const key = match ? match[1] || match[2] : SHORTCUT_CODE_NAMES[event.code];
+        if (!key) {
+            return null;
         }
-        
-        debounceTimeout = setTimeout(() => {
-            processAllCards();
-        }, CONFIG.DEBOUNCE_DELAY);
+        // On macOS "Ctrl" in a shortcut means the Command key and "MacCtrl" the Control key
+        const isMac = /^Mac/.test(navigator.platform);
+        const modifiers = [
+            event.ctrlKey && (isMac ? 'MacCtrl' : 'Ctrl'),
+            event.metaKey && (isMac ? 'Ctrl' : 'Command'),
+            event.altKey && 'Alt',
+            event.shiftKey && 'Shift'
+        ].filter(Boolean);
+        return CRSettings.normalizeShortcut([...modifiers, key].join('+'));
     }
 
     /**
-     * Set up MutationObserver to handle dynamic content
+     * Run the command whose shortcut was pressed, unless the user is typing
+     * @param {KeyboardEvent} event - keydown event
      */
-    function setupObserver() {
-        if (observer) {
-            observer.disconnect();
+    function handleShortcutKey(event) {
+        const target = event.target;
+        if (event.repeat || (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)))) {
+            return;
         }
-        
-        observer = new MutationObserver((mutations) => {
-            let shouldProcess = false;
-            
-            mutations.forEach(mutation => {
-                // Check if new nodes were added that might contain cards
-                if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                    const addedNodes = Array.from(mutation.addedNodes);
-                    const hasCards = addedNodes.some(node => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            return node.matches && (
-                                node.matches(SELECTORS.innerCard) ||
-                                node.matches(SELECTORS.carouselCard) ||
-                                node.matches(SELECTORS.browseCard) ||
-                                (node.querySelector && (
-                                    node.querySelector(SELECTORS.innerCard) ||
-                                    node.querySelector(SELECTORS.carouselCard) ||
-                                    node.querySelector(SELECTORS.browseCard)
-                                )) ||
-                                node.matches(SELECTORS.carouselContainer) ||
-                                node.matches(SELECTORS.browseContainer)
-                            );
-                        }
-                        return false;
-                    });
-                    
-                    if (hasCards) {
-                        shouldProcess = true;
-                        Logger.debug('New cards detected via MutationObserver');
-                    }
-                }
-            });
-            
-            if (shouldProcess) {
-                debouncedProcessCards();
+        const shortcut = shortcutFromEvent(event);
+        const command = shortcut && Object.keys(CRSettings.COMMANDS).find(name => settings[CRSettings.COMMANDS[name]] === shortcut);
+        if (command) {
+            event.preventDefault();
+            event.stopPropagation();
+            runCommand(command);
+        }
+    }
+
+    // Detects navigation inside Crunchyroll's single-page app. The page's own history calls are
+    // hooked through Firefox's wrappedJSObject/exportFunction, because a content script's
+    // `history` is a separate wrapper the page never calls.
+    const RouteWatcher = {
+        currentRoute: location.pathname + location.search,
+
+        /**
+         * Hook pushState/replaceState and listen for back/forward navigation
+         */
+        install() {
+            const notify = () => setTimeout(RouteWatcher.check, 0); // Let the page finish updating first
+            try {
+                const pageHistory = window.wrappedJSObject.history;
+                ['pushState', 'replaceState'].forEach(method => {
+                    const original = pageHistory[method];
+                    exportFunction(function(...args) {
+                        const result = original.apply(this, args);
+                        notify();
+                        return result;
+                    }, pageHistory, { defineAs: method });
+                });
+            } catch (error) {
+                Logger.debug('Could not hook page history, relying on DOM changes to notice navigation:', error.message);
             }
-        });
+            window.addEventListener('popstate', notify);
+        },
 
-        // Start observing the document body
-        if (document.body) {
-            observer.observe(document.body, {
-                childList: true,
-                subtree: true,
-                attributes: false
-            });
-            Logger.info('MutationObserver set up successfully');
-        } else {
-            // If body doesn't exist yet, wait for it
-            setTimeout(setupObserver, 100);
+        /**
+         * Start over if the route (path and query) changed since the last check
+         */
+        check() {
+            const route = location.pathname + location.search;
+            if (route === RouteWatcher.currentRoute) {
+                return;
+            }
+            const previous = RouteWatcher.currentRoute;
+            RouteWatcher.currentRoute = route;
+            handleRouteChange(previous, route);
         }
+    };
+
+    /**
+     * Forget everything learned about the previous page (cached ratings and Crunchyroll's
+     * original container orders are kept: they describe series and elements, not the page)
+     */
+    function resetPageState() {
+        Interaction.reset();
+        document.querySelectorAll('.crh-calendar-top').forEach(summary => summary.remove());
+        processedCards = new WeakSet();
+        processedContainers = new WeakSet();
+        containersNeedingSort = new WeakSet();
+        containerSortModes = new WeakMap();
+        cycledSortMode = null;
+        revealedContainers = new WeakSet();
+        pageRegistry = new Map();
+        cardCache = new WeakMap();
+        knownContainers = new Map();
+        containersDirty = true;
+        pendingCards = new Set();
+        pageMeanRating = null;
+        hasFoundCards = false;
+        retryCount = 0;
+        clearTimeout(debounceTimeout);
+        clearTimeout(incrementalTimeout);
+        incrementalTimeout = null;
+    }
+
+    /**
+     * Re-run detection for the page the app navigated to
+     * @param {string} previous - Previous path and query
+     * @param {string} route - New path and query
+     */
+    function handleRouteChange(previous, route) {
+        Logger.info(`Navigated from ${previous} to ${route} (${getPageType()} page)`);
+        resetPageState();
+        startPageDetection();
+    }
+
+    /**
+     * Process the current page now and keep checking for a few seconds while it renders
+     */
+    function startPageDetection() {
+        processAllCards();
+        
+        // Periodic check for the first few seconds in case we miss dynamic content
+        clearInterval(periodicInterval);
+        let periodicCheck = 0;
+        periodicInterval = setInterval(() => {
+            periodicCheck++;
+            // Only do periodic checks if we haven't found cards yet
+            if (!hasFoundCards) {
+                processAllCards();
+            }
+            if (periodicCheck >= 4 || hasFoundCards) { // Check for 2 seconds or until we find cards
+                clearInterval(periodicInterval);
+            }
+        }, 500);
     }
 
     /**
@@ -675,16 +4140,20 @@
         Logger.info(`Initializing extension... DOM state: ${document.readyState}`);
         
         try {
+            RouteWatcher.install();
+            window.addEventListener('keydown', handleShortcutKey, true);
+            Interaction.watch();
+            
             // Multiple initialization strategies for different loading states
             if (document.readyState === 'loading') {
                 document.addEventListener('DOMContentLoaded', () => {
                     Logger.debug('DOMContentLoaded event fired');
-                    processAllCards();
+                    startPageDetection();
                     setupObserver();
                 });
             } else {
                 // DOM is already ready
-                processAllCards();
+                startPageDetection();
                 setupObserver();
             }
             
@@ -693,19 +4162,6 @@
                 Logger.debug('Window load event fired');
                 setTimeout(processAllCards, 1000); // Give it a second for any final content
             });
-        
-        // Periodic check for the first few seconds in case we miss dynamic content
-        let periodicCheck = 0;
-        const periodicInterval = setInterval(() => {
-            periodicCheck++;
-            // Only do periodic checks if we haven't found cards yet
-            if (!hasFoundCards) {
-                processAllCards();
-            }
-            if (periodicCheck >= 4 || hasFoundCards) { // Check for 2 seconds or until we find cards
-                clearInterval(periodicInterval);
-            }
-        }, 500);
 
             const initDuration = Performance.end('initialization');
             Logger.success(`Extension initialized successfully ${initDuration ? `in ${initDuration.toFixed(1)}ms` : ''}`);
@@ -716,6 +4172,132 @@
         }
     }
 
-    // Start the extension
-    initialize();
+    /**
+     * Apply settings changed from the options page without a page reload
+     * @param {Object} changed - Changed settings (normalized)
+     */
+    function handleSettingsChange(changed) {
+        settings = { ...settings, ...changed };
+        Logger.log('Settings changed:', changed);
+        
+        const weightingKeys = ['weightedMinVotes', 'weightedMeanSource', 'weightedGlobalMean'];
+        const weightingChanged = weightingKeys.some(key => key in changed);
+        
+        if ('injectRatings' in changed ||
+            (settings.injectRatings && ('showWeightedScore' in changed || (weightingChanged && settings.showWeightedScore)))) {
+            refreshRatingBadges();
+        }
+        
+        if ('showSortToolbar' in changed) {
+            refreshSortToolbars();
+        }
+        
+        // Sorting and filter changes apply to everything already on the page (disabled sorting restores Crunchyroll's order)
+        if (['cacheEnabled', 'cacheTtlDays', 'externalProvider', 'selectorOverrides'].some(key => key in changed)) {
+            invalidateCardCache(); // Cards may read differently now
+        }
+        
+        if ('externalProvider' in changed) {
+            externalScores.clear();
+            requestedExternal.clear();
+            if (settings.injectRatings) {
+                refreshRatingBadges(); // Drop scores of the previous provider
+            }
+        }
+        
+        if ('selectorOverrides' in changed) {
+            SelectorEngine.configure(settings.selectorOverrides);
+        }
+        
+        if (('showTrend' in changed || 'trendWindowDays' in changed || 'historyEnabled' in changed) && settings.injectRatings) {
+            refreshRatingBadges();
+        }
+        
+        if ('showHideButton' in changed && settings.injectRatings) {
+            refreshRatingBadges();
+        }
+        
+        if ('episodeRanking' in changed && getPageType() === 'series') {
+            rankEpisodeLists();
+        }
+        
+        if ('showCalendarTop' in changed && getPageType() === 'calendar') {
+            renderCalendarTop();
+        }
+        
+        if (changed.cacheEnabled === true || changed.fetchMissingRatings === true ||
+            'externalProvider' in changed || 'selectorOverrides' in changed) {
+            processAllCards(); // Annotate cards that only have a cached rating, request missing ones
+        }
+        
+        const sortToggles = [
+            'sortEnabled', 'sortCarousels', 'sortBrowse', 'sortLists', 'sortSearch', 'sortCalendar', 'sortOther', 'cacheEnabled',
+            'filterEnabled', 'filterMinRating', 'filterMinVotes', 'filterAction', 'unratedPolicy', 'selectorOverrides',
+            'hideRules', 'hideWatched', 'orderRules'
+        ];
+        const sortKeyChanged = 'sortMode' in changed || weightingChanged;
+        if (sortKeyChanged || sortToggles.some(key => key in changed)) {
+            setTimeout(() => {
+                sortAllContainers(true);
+            }, settings.sortDelay);
+        }
+    }
+
+    // Start the extension once settings and cached ratings are available
+    CRSettings.load()
+        .then(loaded => {
+            settings = loaded;
+        })
+        .catch(error => {
+            Logger.warn('Could not load settings, using defaults:', error);
+        })
+        .then(() => {
+            SelectorEngine.configure(settings.selectorOverrides);
+            return RatingCache.load();
+        })
+        .catch(error => {
+            Logger.warn('Could not load rating cache:', error);
+        })
+        .then(() => RatingHistory.load())
+        .catch(error => {
+            Logger.warn('Could not load rating history:', error);
+        })
+        .then(() => {
+            try {
+                CRSettings.onChange(handleStoredSettingsChange);
+                browser.runtime.onMessage.addListener(message => {
+                    if (message && message.type === 'ratingsResolved') {
+                        handleResolvedRatings(message.results || {});
+                    } else if (message && message.type === 'externalScoresResolved') {
+                        handleExternalScores(message.results);
+                    } else if (message && message.type === 'exportPage') {
+                        return Promise.resolve(exportPage(message.format));
+                    } else if (message && message.type === 'getPageSummary') {
+                        return Promise.resolve(getPageSummary());
+                    } else if (message && message.type === 'runCommand') {
+                        return runCommand(message.command);
+                    } else if (message && message.type === 'setDiagnostics') {
+                        Diagnostics.setVisible(Boolean(message.visible));
+                        return Promise.resolve(getPageSummary());
+                    } else if (message && message.type === 'setTabSettings') {
+                        setTabSettings(message.settings);
+                        return Promise.resolve(getPageSummary());
+                    }
+                    return undefined;
+                });
+                browser.storage.onChanged.addListener((changes, area) => {
+                    const cacheChange = changes[CRSettings.STORAGE_KEYS.ratingCache];
+                    if (area === 'local' && cacheChange) {
+                        RatingCache.handleStorageChange(cacheChange);
+                    }
+                    const historyChange = changes[CRSettings.STORAGE_KEYS.ratingHistory];
+                    if (area === 'local' && historyChange) {
+                        RatingHistory.handleStorageChange(historyChange);
+                    }
+                });
+            } catch (error) {
+                Logger.warn('Could not listen for settings changes:', error);
+            }
+            initialize();
+        });
 })();
\ No newline at end of file
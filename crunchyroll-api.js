@@ -0,0 +1,154 @@
+// Firefox Crunchyroll Rating Helper API Client
+// Minimal client for Crunchyroll's auth and content-review endpoints, using the user's session
+
+const CrunchyrollApi = (function() {
+    'use strict';
+
+    // Refresh the access token this long before Crunchyroll says it expires
+    const TOKEN_EXPIRY_MARGIN = 30 * 1000;
+
+    /**
+     * Error carrying the HTTP status of a failed request
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status (0 for network errors)
+     * @returns {Error} - Error with a status property
+     */
+    function apiError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Format a vote count the way Crunchyroll shows it, e.g. 121400 -> "(121.4k)"
+     * @param {number} votes - Vote count
+     * @returns {string} - Vote count text
+     */
+    function formatVotes(votes) {
+        if (votes >= 1000) {
+            return `(${parseFloat((votes / 1000).toFixed(1))}k)`;
+        }
+        return `(${votes})`;
+    }
+
+    /**
+     * Create an API client
+     * @param {Object} options - Client options
+     * @param {string} options.baseUrl - Site origin, e.g. "https://www.crunchyroll.com" (or a local stub server)
+     * @param {string} options.clientId - Public web client ID used for the token request
+     * @param {Function} [options.http] - fetch-compatible function performing the HTTP requests
+     * @returns {Object} - Client with getToken() and getSeriesRating()
+     */
+    function create({ baseUrl, clientId, http = (url, init) => fetch(url, init) }) {
+        const origin = baseUrl.replace(/\/+$/, '');
+        let token = null; // { accessToken, accountId, expiresAt }
+        let pendingToken = null; // Token request shared by concurrent callers
+
+        /**
+         * Perform a request and parse the JSON body, turning HTTP failures into errors
+         * @param {string} path - Path below the base URL
+         * @param {Object} init - fetch options
+         * @returns {Promise<Object>} - Parsed response body
+         */
+        function requestJson(path, init) {
+            return http(`${origin}${path}`, { credentials: 'include', ...init })
+                .catch(error => {
+                    throw apiError(`Network error for ${path}: ${error.message}`, 0);
+                })
+                .then(response => {
+                    if (!response.ok) {
+                        throw apiError(`HTTP ${response.status} for ${path}`, response.status);
+                    }
+                    return response.json();
+                });
+        }
+
+        /**
+         * Request an access token, preferring the logged-in session cookie over an anonymous token
+         * @param {string} grantType - 'etp_rt_cookie' (session) or 'client_id' (anonymous)
+         * @returns {Promise<Object>} - Token response
+         */
+        function requestToken(grantType) {
+            return requestJson('/auth/v1/token', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${btoa(`${clientId}:`)}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: `grant_type=${grantType}`
+            });
+        }
+
+        /**
+         * Get a valid access token, requesting a new one when needed
+         * @param {boolean} forceRefresh - Ignore the current token
+         * @returns {Promise<Object>} - { accessToken, accountId, expiresAt }
+         */
+        function getToken(forceRefresh = false) {
+            if (!forceRefresh && token && token.expiresAt > Date.now()) {
+                return Promise.resolve(token);
+            }
+            if (pendingToken) {
+                return pendingToken;
+            }
+
+            pendingToken = requestToken('etp_rt_cookie')
+                .catch(error => {
+                    if (error.status === 400 || error.status === 401) {
+                        return requestToken('client_id'); // Not logged in
+                    }
+                    throw error;
+                })
+                .then(body => {
+                    token = {
+                        accessToken: body.access_token,
+                        accountId: body.account_id || null,
+                        expiresAt: Date.now() + (body.expires_in || 300) * 1000 - TOKEN_EXPIRY_MARGIN
+                    };
+                    return token;
+                })
+                .finally(() => {
+                    pendingToken = null;
+                });
+            return pendingToken;
+        }
+
+        /**
+         * Fetch the average rating and vote count of a series
+         * @param {string} seriesId - Crunchyroll series ID
+         * @param {boolean} isRetry - Whether this is the retry after refreshing an expired token
+         * @returns {Promise<Object|null>} - { rating, votes, votesText }, or null when the series has no rating
+         */
+        function getSeriesRating(seriesId, isRetry = false) {
+            return getToken(isRetry).then(({ accessToken, accountId }) => {
+                const id = encodeURIComponent(seriesId);
+                const path = accountId ?
+                    `/content-reviews/v2/user/${encodeURIComponent(accountId)}/rating/series/${id}` :
+                    `/content-reviews/v2/rating/series/${id}`;
+
+                return requestJson(path, {
+                    headers: { 'Authorization': `Bearer ${accessToken}` }
+                });
+            }).then(body => {
+                const rating = parseFloat(body.average);
+                const votes = Number(body.total) || 0;
+                if (!(rating > 0)) {
+                    return null;
+                }
+                return { rating, votes, votesText: formatVotes(votes) };
+            }).catch(error => {
+                if (error.status === 404) {
+                    return null;
+                }
+                if (error.status === 401 && !isRetry) {
+                    return getSeriesRating(seriesId, true);
+                }
+                throw error;
+            });
+        }
+
+        return { getToken, getSeriesRating };
+    }
+
+    return { create, formatVotes };
+})();
@@ -0,0 +1,324 @@
+// Firefox Crunchyroll Rating Helper Options Page
+// Binds form fields marked with data-setting to browser.storage.sync
+
+(function() {
+    'use strict';
+
+    const form = document.getElementById('settings-form');
+    const status = document.getElementById('status');
+    let statusTimeout = null;
+
+    /**
+     * Show a short-lived status message next to the form actions
+     * @param {string} message - Text to show
+     * @param {boolean} isError - Whether to style the message as an error
+     */
+    function showStatus(message, isError = false) {
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+        clearTimeout(statusTimeout);
+        statusTimeout = setTimeout(() => {
+            status.textContent = '';
+        }, 2000);
+    }
+
+    /**
+     * All form fields bound to a setting
+     * @returns {Element[]} - Bound fields
+     */
+    function boundFields() {
+        return Array.from(form.querySelectorAll('[data-setting]'));
+    }
+
+    /**
+     * Read a field's current value in the type its setting expects
+     * @param {Element} field - Bound form field
+     * @returns {*} - Field value
+     */
+    function readField(field) {
+        if (field.type === 'checkbox') {
+            return field.checked;
+        }
+        if (field.type === 'number') {
+            return field.value === '' ? null : Number(field.value);
+        }
+        return field.value;
+    }
+
+    /**
+     * Show a setting value in its field
+     * @param {Element} field - Bound form field
+     * @param {*} value - Setting value
+     */
+    function writeField(field, value) {
+        if (field.type === 'checkbox') {
+            field.checked = Boolean(value);
+        } else {
+            field.value = value === undefined || value === null ? '' : String(value);
+        }
+    }
+
+    /**
+     * Fill every bound field from a settings object
+     * @param {Object} values - Settings (complete or partial)
+     */
+    function render(values) {
+        boundFields().forEach(field => {
+            const key = field.dataset.setting;
+            if (key in values && document.activeElement !== field) {
+                writeField(field, values[key]);
+            }
+        });
+    }
+
+    /**
+     * Save the setting bound to a field that just changed
+     * @param {Event} event - Change event
+     */
+    function handleChange(event) {
+        const field = event.target.closest('[data-setting]');
+        if (!field) {
+            return;
+        }
+
+        const key = field.dataset.setting;
+        CRSettings.save({ [key]: readField(field) })
+            .then(saved => {
+                writeField(field, saved[key]); // Show clamped/normalized value
+                if (CRSettings.SCHEMA[key].type === 'shortcut' && CRSettings.normalizeShortcut(readField(field)) === null) {
+                    showStatus('Not a valid shortcut, default restored', true);
+                    return;
+                }
+                showStatus('Saved');
+            })
+            .catch(error => {
+                console.error('Failed to save setting:', error);
+                showStatus('Could not save setting', true);
+            });
+    }
+
+    form.addEventListener('change', handleChange);
+    form.addEventListener('submit', event => event.preventDefault());
+
+    document.getElementById('reset-button').addEventListener('click', () => {
+        CRSettings.reset()
+            .then(values => {
+                render(values);
+                showStatus('Defaults restored');
+            })
+            .catch(error => {
+                console.error('Failed to reset settings:', error);
+                showStatus('Could not reset settings', true);
+            });
+    });
+
+    document.getElementById('clear-page-sort-modes').addEventListener('click', () => {
+        CRSettings.save({ pageSortModes: {} })
+            .then(() => showStatus('Sort menu choices forgotten'))
+            .catch(error => {
+                console.error('Failed to clear sort choices:', error);
+                showStatus('Could not clear sort choices', true);
+            });
+    });
+
+    /**
+     * Show how many series the rating cache currently holds
+     */
+    function showRatingCacheSize() {
+        const key = CRSettings.STORAGE_KEYS.ratingCache;
+        browser.storage.local.get(key)
+            .then(stored => {
+                const count = Object.keys(stored[key] || {}).length;
+                document.getElementById('rating-cache-size').textContent = `${count} series cached`;
+            })
+            .catch(error => {
+                console.error('Failed to read rating cache:', error);
+            });
+    }
+
+    document.getElementById('clear-rating-cache').addEventListener('click', () => {
+        browser.storage.local.remove(CRSettings.STORAGE_KEYS.ratingCache)
+            .then(() => {
+                showRatingCacheSize();
+                showStatus('Cached ratings cleared');
+            })
+            .catch(error => {
+                console.error('Failed to clear rating cache:', error);
+                showStatus('Could not clear cached ratings', true);
+            });
+    });
+
+    /**
+     * Show how many series have a recorded rating history
+     */
+    function showRatingHistorySize() {
+        const key = CRSettings.STORAGE_KEYS.ratingHistory;
+        browser.storage.local.get(key)
+            .then(stored => {
+                const count = Object.keys(stored[key] || {}).length;
+                document.getElementById('rating-history-size').textContent = `${count} series tracked`;
+            })
+            .catch(error => {
+                console.error('Failed to read rating history:', error);
+            });
+    }
+
+    document.getElementById('clear-rating-history').addEventListener('click', () => {
+        browser.storage.local.remove(CRSettings.STORAGE_KEYS.ratingHistory)
+            .then(() => {
+                showRatingHistorySize();
+                showStatus('Rating history cleared');
+            })
+            .catch(error => {
+                console.error('Failed to clear rating history:', error);
+                showStatus('Could not clear rating history', true);
+            });
+    });
+
+    document.getElementById('clear-external-cache').addEventListener('click', () => {
+        browser.storage.local.remove(CRSettings.STORAGE_KEYS.externalCache)
+            .then(() => showStatus('Matched scores cleared'))
+            .catch(error => {
+                console.error('Failed to clear external score cache:', error);
+                showStatus('Could not clear matched scores', true);
+            });
+    });
+
+    const backupStatus = document.getElementById('backup-status');
+
+    // Labels of the backup parts, as shown in the import summary
+    const BACKUP_PART_LABELS = {
+        settings: 'settings',
+        ratingCache: 'cached ratings',
+        ratingHistory: 'rating histories',
+        externalCache: 'matched scores'
+    };
+
+    /**
+     * Show the outcome of an export or import until the next one
+     * @param {string} message - Text to show (may span lines)
+     * @param {boolean} isError - Whether to style the message as an error
+     */
+    function showBackupStatus(message, isError = false) {
+        backupStatus.textContent = message;
+        backupStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Backup parts checked on the page
+     * @returns {string[]} - Part names
+     */
+    function checkedBackupParts() {
+        return Array.from(form.querySelectorAll('[data-backup-part]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.dataset.backupPart);
+    }
+
+    /**
+     * Read the checked parts from storage and download them as a JSON file
+     * @returns {Promise<void>}
+     */
+    function exportBackup() {
+        const parts = checkedBackupParts();
+        if (parts.length === 0) {
+            showBackupStatus('Check at least one part to export', true);
+            return Promise.resolve();
+        }
+
+        const localKeys = parts.filter(part => part !== 'settings').map(part => CRSettings.STORAGE_KEYS[part]);
+        return Promise.all([
+            parts.includes('settings') ? CRSettings.load() : undefined,
+            localKeys.length > 0 ? browser.storage.local.get(localKeys) : {}
+        ]).then(([values, stored]) => {
+            const data = { settings: values };
+            parts.filter(part => part !== 'settings').forEach(part => {
+                data[part] = stored[CRSettings.STORAGE_KEYS[part]] || {};
+            });
+            const backup = CRBackup.create(data);
+
+            const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${CRBackup.FORMAT}-${backup.createdAt.slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            showBackupStatus(`Exported ${describeCounts(backup)}`);
+        }).catch(error => {
+            console.error('Failed to export backup:', error);
+            showBackupStatus('Could not export backup', true);
+        });
+    }
+
+    /**
+     * Summary of how much a backup holds, e.g. "52 settings, 1200 cached ratings"
+     * @param {Object} counts - Part -> number of entries, or a backup to count
+     * @returns {string} - Summary
+     */
+    function describeCounts(counts) {
+        return CRBackup.PARTS
+            .filter(part => counts[part] !== undefined)
+            .map(part => {
+                const count = typeof counts[part] === 'number' ? counts[part] : Object.keys(counts[part]).length;
+                return `${count} ${BACKUP_PART_LABELS[part]}`;
+            })
+            .join(', ');
+    }
+
+    /**
+     * Check a chosen backup file and restore the checked parts it holds
+     * @param {File} file - File picked by the user
+     * @returns {Promise<void>}
+     */
+    function importBackup(file) {
+        return file.text()
+            .then(text => {
+                const { backup, warnings, counts } = CRBackup.validate(text);
+                const parts = checkedBackupParts().filter(part => counts[part] !== undefined);
+                if (parts.length === 0) {
+                    throw new Error('The file holds none of the checked parts');
+                }
+                const restored = {};
+                parts.forEach(part => {
+                    restored[part] = counts[part];
+                });
+                return CRBackup.restore(backup, parts).then(() => {
+                    const lines = [`Imported ${describeCounts(restored)}`, ...warnings];
+                    showBackupStatus(lines.join('\n'));
+                    showRatingCacheSize();
+                    showRatingHistorySize();
+                    return parts.includes('settings') ? CRSettings.load().then(render) : undefined;
+                });
+            })
+            .catch(error => {
+                console.error('Failed to import backup:', error);
+                showBackupStatus(`Could not import backup: ${error.message}`, true);
+            });
+    }
+
+    document.getElementById('export-backup').addEventListener('click', exportBackup);
+
+    const importFile = document.getElementById('import-file');
+    document.getElementById('import-backup').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        importFile.value = ''; // Picking the same file again still fires change
+        if (file) {
+            importBackup(file);
+        }
+    });
+
+    // Keep the page in sync with changes made in other windows
+    CRSettings.onChange(render);
+
+    showRatingCacheSize();
+    showRatingHistorySize();
+
+    CRSettings.load()
+        .then(render)
+        .catch(error => {
+            console.error('Failed to load settings:', error);
+            showStatus('Could not load settings', true);
+        });
+})();
@@ -0,0 +1,252 @@
+// Firefox Crunchyroll Rating Helper Popup
+// Talks to the content script of the active tab to show page statistics, switch sorting and
+// rating badges for that tab, and export the page; also shows the recorded rating history of a series
+
+(function() {
+    'use strict';
+
+    const summary = document.getElementById('page-summary');
+    const status = document.getElementById('status');
+    const exportButtons = Array.from(document.querySelectorAll('[data-export]'));
+    const tabToggles = Array.from(document.querySelectorAll('[data-tab-setting]'));
+    const diagnosticsToggle = document.getElementById('diagnostics-toggle');
+    // Sorting happens after the content script's sort delay; read the statistics again after this long
+    const RESORT_REFRESH_DELAY = 600;
+    const historySelect = document.getElementById('history-series');
+    // Newest points shown in the history table
+    const HISTORY_ROWS = 8;
+    let history = {}; // Series ID -> { title, points: [[timestamp, rating, votes], ...] }
+    let pageLocale; // Locale of the active Crunchyroll page, undefined (the browser's) until it reports one
+
+    /**
+     * Show a status line under the page section
+     * @param {string} message - Text to show
+     * @param {boolean} isError - Whether to style the message as an error
+     */
+    function showStatus(message, isError = false) {
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Send a message to the content script of the active tab
+     * @param {Object} message - Message for content.js
+     * @returns {Promise<*>} - Content script response (rejects when the tab has no content script)
+     */
+    function sendToPage(message) {
+        return browser.tabs.query({ active: true, currentWindow: true })
+            .then(([tab]) => browser.tabs.sendMessage(tab.id, message));
+    }
+
+    /**
+     * Format a rating like content.js does on the page's badges, e.g. "4.55" or "4,55" for a German page
+     * @param {number} rating - Rating
+     * @returns {string} - Formatted rating
+     */
+    function formatRating(rating) {
+        return rating.toLocaleString(pageLocale, { minimumFractionDigits: 1, maximumFractionDigits: 2 });
+    }
+
+    /**
+     * Fill the list of the best rated series on the page
+     * @param {Object[]} top - { title, url, rating, votes } entries, best first
+     */
+    function renderTopTitles(top) {
+        const list = document.getElementById('top-titles');
+        list.textContent = '';
+        top.forEach(({ title, url, rating, votes }) => {
+            const item = document.createElement('li');
+            const score = document.createElement('span');
+            score.className = 'rating';
+            score.textContent = `★ ${formatRating(rating)}`;
+            const link = document.createElement('a');
+            link.textContent = title;
+            link.title = `${title} (${votes.toLocaleString(pageLocale)} votes)`;
+            if (url) {
+                link.href = url;
+                link.target = '_blank';
+            }
+            item.append(score, link);
+            list.appendChild(item);
+        });
+        list.hidden = top.length === 0;
+    }
+
+    /**
+     * Show what the content script reports about its page
+     * @param {Object} page - Page summary from content.js
+     */
+    function renderPageSummary(page) {
+        pageLocale = page.locale;
+        summary.textContent = `${page.seen} series seen on this ${page.pageType} page`;
+        const stats = {
+            cards: page.cards,
+            rated: page.rated,
+            containers: page.containers,
+            sortedContainers: page.sortedContainers,
+            average: page.average ? `★ ${formatRating(page.average)}` : '–'
+        };
+        document.querySelectorAll('[data-stat]').forEach(element => {
+            element.textContent = stats[element.dataset.stat];
+        });
+        document.getElementById('page-stats').hidden = false;
+        
+        tabToggles.forEach(toggle => {
+            toggle.checked = Boolean(page.settings[toggle.dataset.tabSetting]);
+            toggle.parentElement.title = page.overridden.includes(toggle.dataset.tabSetting) ?
+                'Changed for this tab only' : 'Same as in settings';
+        });
+        diagnosticsToggle.checked = Boolean(page.diagnostics);
+        document.getElementById('tab-settings').hidden = false;
+        
+        renderTopTitles(page.top);
+        exportButtons.forEach(button => {
+            button.disabled = page.seen === 0;
+        });
+    }
+
+    /**
+     * Describe the active page and enable the export buttons when it has cards
+     * @returns {Promise<Object[]>} - { seriesId, title } of the series on the page (none when it is not a Crunchyroll page)
+     */
+    function showPageSummary() {
+        return sendToPage({ type: 'getPageSummary' })
+            .then(page => {
+                renderPageSummary(page);
+                return page.series || [];
+            })
+            .catch(() => {
+                summary.textContent = 'Open a Crunchyroll page to see its ratings.';
+                return [];
+            });
+    }
+
+    /**
+     * Add one option per series to a select group
+     * @param {Element} parent - Select or optgroup
+     * @param {Object[]} series - { seriesId, title } entries
+     */
+    function addSeriesOptions(parent, series) {
+        series.forEach(({ seriesId, title }) => {
+            const option = document.createElement('option');
+            option.value = seriesId;
+            option.textContent = title || seriesId;
+            parent.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill the series menu: series on the current page first, then every other tracked series
+     * @param {Object[]} pageSeries - { seriesId, title } of the series on the page
+     */
+    function fillHistorySelect(pageSeries) {
+        const byTitle = (a, b) => a.title.localeCompare(b.title);
+        const onPage = pageSeries.filter(({ seriesId }) => history[seriesId]);
+        const pageIds = new Set(onPage.map(({ seriesId }) => seriesId));
+        const others = Object.keys(history)
+            .filter(seriesId => !pageIds.has(seriesId))
+            .map(seriesId => ({ seriesId, title: history[seriesId].title || seriesId }))
+            .sort(byTitle);
+        
+        historySelect.textContent = '';
+        [['On this page', onPage], ['Other series', others]].forEach(([label, series]) => {
+            if (series.length > 0) {
+                const group = document.createElement('optgroup');
+                group.label = label;
+                addSeriesOptions(group, series);
+                historySelect.appendChild(group);
+            }
+        });
+        document.getElementById('history-section').hidden = historySelect.options.length === 0;
+    }
+
+    /**
+     * Draw the rating line and list the newest points of the selected series
+     */
+    function showHistory() {
+        const entry = history[historySelect.value];
+        const chart = document.getElementById('history-chart');
+        const rows = document.querySelector('#history-table tbody');
+        chart.textContent = '';
+        rows.textContent = '';
+        if (!entry || entry.points.length === 0) {
+            return;
+        }
+        
+        const points = entry.points;
+        const ratings = points.map(point => point[1]);
+        const low = Math.min(...ratings) - 0.05;
+        const high = Math.max(...ratings) + 0.05;
+        const first = points[0][0];
+        const span = Math.max(points[points.length - 1][0] - first, 1);
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        line.setAttribute('points', points.map(([time, rating]) => {
+            const x = points.length > 1 ? ((time - first) / span) * 200 : 100;
+            return `${x.toFixed(1)},${(48 - ((rating - low) / (high - low)) * 48).toFixed(1)}`;
+        }).join(' '));
+        chart.appendChild(line);
+        chart.setAttribute('aria-label', `Rating from ${ratings[0]} to ${ratings[ratings.length - 1]}`);
+        
+        points.slice(-HISTORY_ROWS).reverse().forEach(([time, rating, votes]) => {
+            const row = document.createElement('tr');
+            [new Date(time).toLocaleDateString(pageLocale), formatRating(rating), votes.toLocaleString(pageLocale)].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            rows.appendChild(row);
+        });
+    }
+
+    historySelect.addEventListener('change', showHistory);
+
+    tabToggles.forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            sendToPage({ type: 'setTabSettings', settings: { [toggle.dataset.tabSetting]: toggle.checked } })
+                .then(page => {
+                    renderPageSummary(page);
+                    setTimeout(showPageSummary, RESORT_REFRESH_DELAY);
+                })
+                .catch(error => {
+                    console.error('Failed to switch setting for this tab:', error);
+                    showStatus('Could not reach this page', true);
+                });
+        });
+    });
+
+    diagnosticsToggle.addEventListener('change', () => {
+        sendToPage({ type: 'setDiagnostics', visible: diagnosticsToggle.checked })
+            .then(renderPageSummary)
+            .catch(error => {
+                console.error('Failed to switch the diagnostics overlay:', error);
+                showStatus('Could not reach this page', true);
+            });
+    });
+
+    exportButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            sendToPage({ type: 'exportPage', format: button.dataset.export })
+                .then(result => showStatus(`Saved ${result.count} series to ${result.filename}`))
+                .catch(error => {
+                    console.error('Failed to export page:', error);
+                    showStatus('Could not export this page', true);
+                });
+        });
+    });
+
+    document.getElementById('open-options').addEventListener('click', () => {
+        browser.runtime.openOptionsPage();
+        window.close();
+    });
+
+    const historyKey = CRSettings.STORAGE_KEYS.ratingHistory;
+    Promise.all([showPageSummary(), browser.storage.local.get(historyKey)])
+        .then(([pageSeries, stored]) => {
+            history = stored[historyKey] || {};
+            fillHistorySelect(pageSeries);
+            showHistory();
+        })
+        .catch(error => {
+            console.error('Failed to load rating history:', error);
+        });
+})();
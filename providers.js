@@ -0,0 +1,179 @@
+// Firefox Crunchyroll Rating Helper External Rating Providers
+// Matches Crunchyroll titles to AniList / MyAnimeList entries and reads their scores
+
+const ExternalProviders = (function() {
+    'use strict';
+
+    // Candidates less similar to the Crunchyroll title than this are not accepted as a match
+    const MIN_SIMILARITY = 0.6;
+
+    /**
+     * Reduce a title to a comparable form: lowercase, no accents, punctuation or dub/sub markers
+     * @param {string} title - Title as shown by a site
+     * @returns {string} - Normalized title
+     */
+    function normalizeTitle(title) {
+        return (title || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\((?:[a-z-]+ )?(?:dub|sub)\)/g, ' ')
+            .replace(/&/g, ' and ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Similarity of two titles as the Dice coefficient of their character bigrams
+     * @param {string} titleA - First title
+     * @param {string} titleB - Second title
+     * @returns {number} - 0 (unrelated) to 1 (identical after normalization)
+     */
+    function similarity(titleA, titleB) {
+        const a = normalizeTitle(titleA);
+        const b = normalizeTitle(titleB);
+        if (!a || !b) {
+            return 0;
+        }
+        if (a === b) {
+            return 1;
+        }
+
+        const bigrams = text => {
+            const counts = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const bigram = text.slice(i, i + 2);
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+            return counts;
+        };
+
+        const bigramsA = bigrams(a);
+        const bigramsB = bigrams(b);
+        let overlap = 0;
+        bigramsA.forEach((count, bigram) => {
+            overlap += Math.min(count, bigramsB.get(bigram) || 0);
+        });
+        return (2 * overlap) / (Math.max(a.length - 1, 1) + Math.max(b.length - 1, 1));
+    }
+
+    /**
+     * Pick the candidate whose best-matching title is closest to the searched title
+     * @param {string} title - Crunchyroll title
+     * @param {Object[]} candidates - { id, url, score, titles[] } from a provider search
+     * @returns {Object|null} - Best candidate with its similarity, or null when nothing is close enough
+     */
+    function findBestMatch(title, candidates) {
+        let best = null;
+        candidates.forEach(candidate => {
+            candidate.titles.forEach(candidateTitle => {
+                const score = similarity(title, candidateTitle);
+                if (!best || score > best.similarity) {
+                    best = { ...candidate, matchedTitle: candidateTitle, similarity: score };
+                }
+            });
+        });
+        return best && best.similarity >= MIN_SIMILARITY ? best : null;
+    }
+
+    /**
+     * Read the JSON body of a provider response, failing on HTTP errors
+     * @param {Response} response - fetch response
+     * @returns {Promise<Object>} - Parsed body
+     */
+    function readJson(response) {
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    const PROVIDERS = {
+        anilist: {
+            label: 'AniList',
+            shortLabel: 'AL',
+
+            /**
+             * Search AniList's GraphQL API
+             * @param {string} title - Title to search for
+             * @param {Object} options - { endpoint, http }
+             * @returns {Promise<Object[]>} - Candidates with scores on a 0-10 scale
+             */
+            search(title, { endpoint, http }) {
+                const query = `query ($search: String) {
+                    Page(perPage: 5) {
+                        media(search: $search, type: ANIME) {
+                            id siteUrl averageScore synonyms
+                            title { romaji english native }
+                        }
+                    }
+                }`;
+                return http(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                    body: JSON.stringify({ query, variables: { search: title } })
+                }).then(readJson).then(body => {
+                    const media = (body.data && body.data.Page && body.data.Page.media) || [];
+                    return media.map(entry => ({
+                        id: entry.id,
+                        url: entry.siteUrl,
+                        score: entry.averageScore ? entry.averageScore / 10 : 0,
+                        titles: [entry.title.english, entry.title.romaji, entry.title.native, ...(entry.synonyms || [])]
+                            .filter(Boolean)
+                    }));
+                });
+            }
+        },
+
+        mal: {
+            label: 'MyAnimeList',
+            shortLabel: 'MAL',
+
+            /**
+             * Search MyAnimeList through the Jikan REST API
+             * @param {string} title - Title to search for
+             * @param {Object} options - { endpoint, http }
+             * @returns {Promise<Object[]>} - Candidates with scores on a 0-10 scale
+             */
+            search(title, { endpoint, http }) {
+                const url = `${endpoint.replace(/\/+$/, '')}/anime?q=${encodeURIComponent(title)}&limit=5`;
+                return http(url, {
+                    headers: { 'Accept': 'application/json' }
+                }).then(readJson).then(body => {
+                    return (body.data || []).map(entry => ({
+                        id: entry.mal_id,
+                        url: entry.url,
+                        score: entry.score || 0,
+                        titles: [entry.title, entry.title_english, entry.title_japanese,
+                            ...(entry.titles || []).map(item => item.title)].filter(Boolean)
+                    }));
+                });
+            }
+        }
+    };
+
+    /**
+     * Look up a title with a provider and return its best match
+     * @param {string} providerName - 'anilist' or 'mal'
+     * @param {string} title - Crunchyroll title
+     * @param {Object} options - { endpoint, http }
+     * @returns {Promise<Object|null>} - { id, url, score, matchedTitle } or null when nothing matched
+     */
+    function lookup(providerName, title, options) {
+        const provider = PROVIDERS[providerName];
+        if (!provider) {
+            return Promise.reject(new Error(`Unknown rating provider "${providerName}"`));
+        }
+        return provider.search(title, options).then(candidates => {
+            const match = findBestMatch(title, candidates);
+            if (!match || !(match.score > 0)) {
+                return null;
+            }
+            return { id: match.id, url: match.url, score: match.score, matchedTitle: match.matchedTitle };
+        });
+    }
+
+    return { PROVIDERS, normalizeTitle, similarity, findBestMatch, lookup };
+})();
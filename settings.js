@@ -0,0 +1,456 @@
+// Firefox Crunchyroll Rating Helper Settings
+// Settings schema and storage helpers shared by the content script and extension pages
+
+const CRSettings = (function() {
+    'use strict';
+
+    // Every user-tunable option with its type, default value and limits
+    const SCHEMA = {
+        // Behavior toggles
+        injectRatings: { type: 'boolean', default: true },
+        sortEnabled: { type: 'boolean', default: true },
+        sortCarousels: { type: 'boolean', default: true },
+        sortBrowse: { type: 'boolean', default: true },
+        sortLists: { type: 'boolean', default: true },
+        sortSearch: { type: 'boolean', default: true },
+        sortCalendar: { type: 'boolean', default: true },
+        sortOther: { type: 'boolean', default: true },
+
+        // Sort key: raw rating, or a Bayesian average that accounts for vote counts
+        sortMode: { type: 'enum', values: ['rating', 'weighted', 'external'], default: 'rating' },
+        weightedMinVotes: { type: 'number', default: 1000, min: 0, max: 10000000 },
+        weightedMeanSource: { type: 'enum', values: ['page', 'global'], default: 'page' },
+        weightedGlobalMean: { type: 'number', default: 4.5, min: 1, max: 5 },
+        showWeightedScore: { type: 'boolean', default: false },
+
+        // In-page sort toolbar and the last mode picked from it, per page type (e.g. { home: 'votes' })
+        showSortToolbar: { type: 'boolean', default: true },
+        pageSortModes: { type: 'object', default: {} },
+
+        // Reordering: wait while the pointer or keyboard focus is in a container, animate cards to their new places
+        deferWhileInteracting: { type: 'boolean', default: true },
+        animateReorder: { type: 'boolean', default: true },
+
+        // Filter cards below rating/vote thresholds; unrated cards follow their own policy
+        filterEnabled: { type: 'boolean', default: false },
+        filterMinRating: { type: 'number', default: 0, min: 0, max: 5 },
+        filterMinVotes: { type: 'number', default: 0, min: 0, max: 10000000 },
+        filterAction: { type: 'enum', values: ['hide', 'dim'], default: 'hide' },
+        unratedPolicy: { type: 'enum', values: ['end', 'show', 'hide'], default: 'end' },
+
+        // Per-series rating cache in browser.storage.local
+        cacheEnabled: { type: 'boolean', default: true },
+        cacheTtlDays: { type: 'number', default: 30, min: 1, max: 365 },
+        cacheMaxEntries: { type: 'number', default: 5000, min: 100, max: 50000 },
+
+        // Rating history per series in browser.storage.local, and the trend shown in badges
+        historyEnabled: { type: 'boolean', default: true },
+        historyMaxSeries: { type: 'number', default: 2000, min: 100, max: 20000 },
+        showTrend: { type: 'boolean', default: true },
+        trendWindowDays: { type: 'number', default: 7, min: 1, max: 90 },
+
+        // Ask Crunchyroll's API for ratings that cards don't show (rate-limited, in the background)
+        fetchMissingRatings: { type: 'boolean', default: true },
+        fetchBatchSize: { type: 'number', default: 4, min: 1, max: 20 },
+        fetchBatchInterval: { type: 'number', default: 1000, min: 100, max: 60000 },
+        apiBaseUrl: { type: 'string', default: 'https://www.crunchyroll.com' },
+        apiClientId: { type: 'string', default: 'cr_web' },
+
+        // Optional AniList / MyAnimeList score shown next to Crunchyroll's and usable as sort key
+        externalProvider: { type: 'enum', values: ['none', 'anilist', 'mal'], default: 'none' },
+        anilistEndpoint: { type: 'string', default: 'https://graphql.anilist.co' },
+        malEndpoint: { type: 'string', default: 'https://api.jikan.moe/v4' },
+
+        // Hidden series: "series = ID", "keyword = text" or "regex = pattern" per line, plus watched series
+        hideRules: { type: 'string', default: '' },
+        hideWatched: { type: 'boolean', default: false },
+        showHideButton: { type: 'boolean', default: true },
+
+        // Pins and boosts applied on top of the sort order ("pin = ID", "boost series|badge|keyword = value +amount")
+        orderRules: { type: 'string', default: '' },
+
+        // Series page episode lists: rank by per-episode rating or likes where shown
+        episodeRanking: { type: 'enum', values: ['off', 'highlight', 'sort'], default: 'off' },
+
+        // Simulcast calendar: "top rated releases this week" summary above the days
+        showCalendarTop: { type: 'boolean', default: true },
+
+        // Selectors replacing the built-in ones, one "role = selector" per line (see content.js SelectorEngine)
+        selectorOverrides: { type: 'string', default: '' },
+
+        // Keyboard shortcuts of the manifest commands (see COMMANDS), e.g. "Alt+Shift+R"; empty disables one
+        shortcutResort: { type: 'shortcut', default: 'Alt+Shift+R' },
+        shortcutToggleTab: { type: 'shortcut', default: 'Alt+Shift+O' },
+        shortcutCycleSort: { type: 'shortcut', default: 'Alt+Shift+S' },
+
+        // Timing and retries
+        debounceDelay: { type: 'number', default: 100, min: 0, max: 5000 },
+        sortDelay: { type: 'number', default: 100, min: 0, max: 5000 },
+        maxRetries: { type: 'number', default: 5, min: 0, max: 50 },
+
+        // Share the most recently seen cached ratings with other devices through browser.storage.sync
+        syncRatingCache: { type: 'boolean', default: false },
+
+        // Diagnostics
+        debugMode: { type: 'boolean', default: false }
+    };
+
+    // Storage keys for data that is not a setting (browser.storage.local unless noted)
+    const STORAGE_KEYS = {
+        ratingCache: 'ratingCache',
+        ratingHistory: 'ratingHistory',
+        externalCache: 'externalCache',
+        // browser.storage.sync key of the shared ratings (see syncRatingCache)
+        ratingSync: 'ratingSync'
+    };
+
+    // browser.storage.sync allows 8 KB per item (key plus JSON value); longer strings, such as long rule
+    // lists, are split into "<key>.chunk<N>" items named by a header { chunks, revision } under the key itself
+    const MAX_ITEM_BYTES = 8000;
+    const CHUNK_SUFFIX = '.chunk';
+
+    // Commands declared in manifest.json -> setting holding their shortcut
+    const COMMANDS = {
+        'resort': 'shortcutResort',
+        'toggle-tab': 'shortcutToggleTab',
+        'cycle-sort-mode': 'shortcutCycleSort'
+    };
+
+    // Shortcut parts in the order and spelling browser.commands expects
+    const SHORTCUT_MODIFIERS = ['Ctrl', 'Command', 'MacCtrl', 'Alt', 'Shift'];
+    const SHORTCUT_KEYS = [
+        'Comma', 'Period', 'Home', 'End', 'PageUp', 'PageDown', 'Space', 'Insert', 'Delete', 'Up', 'Down', 'Left', 'Right'
+    ];
+
+    /**
+     * Bring a shortcut into the form browser.commands accepts, e.g. "shift + alt + r" -> "Alt+Shift+R"
+     * @param {string} text - Shortcut as typed
+     * @returns {string|null} - Normalized shortcut, '' for none, or null when it is not a valid shortcut
+     */
+    function normalizeShortcut(text) {
+        if (typeof text !== 'string') {
+            return null;
+        }
+        const parts = text.split('+').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) {
+            return '';
+        }
+
+        const rawKey = parts.pop();
+        const key = /^[a-z0-9]$/i.test(rawKey) || /^f([1-9]|1[0-2])$/i.test(rawKey) ? rawKey.toUpperCase() :
+            SHORTCUT_KEYS.find(name => name.toLowerCase() === rawKey.toLowerCase());
+        const modifiers = parts.map(part => SHORTCUT_MODIFIERS.find(name => name.toLowerCase() === part.toLowerCase()));
+        if (!key || modifiers.includes(undefined) || new Set(modifiers).size !== modifiers.length) {
+            return null;
+        }
+        // Apart from function keys, a shortcut needs a modifier other than Shift
+        if (!/^F\d+$/.test(key) && !modifiers.some(modifier => modifier !== 'Shift')) {
+            return null;
+        }
+        return [...SHORTCUT_MODIFIERS.filter(name => modifiers.includes(name)), key].join('+');
+    }
+
+    /**
+     * Build a fresh settings object containing only default values
+     * @returns {Object} - Default settings
+     */
+    function defaults() {
+        const result = {};
+        Object.keys(SCHEMA).forEach(key => {
+            result[key] = clone(SCHEMA[key].default);
+        });
+        return result;
+    }
+
+    /**
+     * Deep copy plain JSON values so callers never share default objects
+     * @param {*} value - Value to copy
+     * @returns {*} - Copied value
+     */
+    function clone(value) {
+        return value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Coerce a single stored value into the type its schema entry expects
+     * @param {string} key - Setting name
+     * @param {*} value - Raw value from storage or a form field
+     * @returns {*} - Valid value, or the default when the raw value is unusable
+     */
+    function normalizeValue(key, value) {
+        const spec = SCHEMA[key];
+        if (!spec) {
+            return undefined;
+        }
+
+        switch (spec.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? value : clone(spec.default);
+            case 'number': {
+                const number = Number(value);
+                if (value === null || value === '' || !Number.isFinite(number)) {
+                    return clone(spec.default);
+                }
+                const min = spec.min !== undefined ? spec.min : -Infinity;
+                const max = spec.max !== undefined ? spec.max : Infinity;
+                return Math.min(max, Math.max(min, number));
+            }
+            case 'enum':
+                return spec.values.includes(value) ? value : clone(spec.default);
+            case 'string':
+                return typeof value === 'string' ? value : clone(spec.default);
+            case 'shortcut': {
+                const shortcut = normalizeShortcut(value);
+                return shortcut === null ? clone(spec.default) : shortcut;
+            }
+            case 'array':
+                return Array.isArray(value) ? clone(value) : clone(spec.default);
+            case 'object':
+                return value && typeof value === 'object' && !Array.isArray(value) ? clone(value) : clone(spec.default);
+            default:
+                return clone(spec.default);
+        }
+    }
+
+    /**
+     * Normalize a (possibly partial) settings object, dropping unknown keys
+     * @param {Object} raw - Raw settings
+     * @param {boolean} fillDefaults - Whether missing keys get their default value
+     * @returns {Object} - Normalized settings
+     */
+    function normalize(raw, fillDefaults = true) {
+        const result = {};
+        Object.keys(SCHEMA).forEach(key => {
+            if (raw && Object.prototype.hasOwnProperty.call(raw, key)) {
+                result[key] = normalizeValue(key, raw[key]);
+            } else if (fillDefaults) {
+                result[key] = clone(SCHEMA[key].default);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Size of a string in UTF-8 bytes
+     * @param {string} text - Text to measure
+     * @returns {number} - Byte count
+     */
+    function byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    /**
+     * Whether a stored value is the header of a chunked value
+     * @param {*} value - Stored value
+     * @returns {boolean} - True for { chunks, revision }
+     */
+    function isChunkHeader(value) {
+        return Boolean(value) && typeof value === 'object' && Number.isInteger(value.chunks) && typeof value.revision === 'string';
+    }
+
+    /**
+     * Key a chunk item belongs to
+     * @param {string} name - Storage item name
+     * @returns {string|null} - Key of the chunked value, or null when the item is not a chunk
+     */
+    function chunkOwner(name) {
+        const match = name.match(/^(.+)\.chunk\d+$/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Split a string into pieces whose JSON form fits in one storage.sync item
+     * @param {string} key - Key the pieces are stored under
+     * @param {string} text - Text to split
+     * @returns {string[]} - Pieces in order
+     */
+    function splitText(key, text) {
+        const limit = MAX_ITEM_BYTES - byteLength(`${key}${CHUNK_SUFFIX}000`) - 32; // Room for the revision and JSON syntax
+        const chunks = [];
+        let current = '';
+        let size = 0;
+        for (const char of text) { // Whole code points, so surrogate pairs stay together
+            const charSize = byteLength(JSON.stringify(char)) - 2;
+            if (size + charSize > limit) {
+                chunks.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += charSize;
+        }
+        chunks.push(current);
+        return chunks;
+    }
+
+    /**
+     * Store a string in browser.storage.sync, split into chunks when it doesn't fit in one item. Chunks are
+     * written before the header naming them and carry its revision, so a reader on another device never mixes
+     * chunks of two versions; chunks left over from a longer earlier value are removed last.
+     * @param {string} key - Storage key
+     * @param {string} text - Text to store
+     * @param {Object} stored - Current contents of browser.storage.sync
+     * @returns {Promise<void>}
+     */
+    function writeChunked(key, text, stored) {
+        const fits = byteLength(key) + byteLength(JSON.stringify(text)) <= MAX_ITEM_BYTES;
+        const chunks = fits ? [] : splitText(key, text);
+        const stale = Object.keys(stored).filter(name =>
+            chunkOwner(name) === key && Number(name.slice(key.length + CHUNK_SUFFIX.length)) >= chunks.length);
+        const removeStale = () => (stale.length > 0 ? browser.storage.sync.remove(stale) : undefined);
+        
+        if (fits) {
+            return browser.storage.sync.set({ [key]: text }).then(removeStale);
+        }
+        
+        const revision = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        const items = {};
+        chunks.forEach((chunk, index) => {
+            items[`${key}${CHUNK_SUFFIX}${index}`] = [revision, chunk];
+        });
+        return browser.storage.sync.set(items)
+            .then(() => browser.storage.sync.set({ [key]: { chunks: chunks.length, revision } }))
+            .then(removeStale);
+    }
+
+    /**
+     * Read a value stored by writeChunked
+     * @param {Object} stored - Items read from browser.storage.sync
+     * @param {string} key - Storage key
+     * @returns {*} - The value (joined when chunked), or undefined when chunks are missing or from another revision
+     */
+    function readChunked(stored, key) {
+        const header = stored[key];
+        if (!isChunkHeader(header)) {
+            return header;
+        }
+        let text = '';
+        for (let index = 0; index < header.chunks; index++) {
+            const chunk = stored[`${key}${CHUNK_SUFFIX}${index}`];
+            if (!Array.isArray(chunk) || chunk[0] !== header.revision || typeof chunk[1] !== 'string') {
+                return undefined; // Still arriving from another device
+            }
+            text += chunk[1];
+        }
+        return text;
+    }
+
+    /**
+     * Settings from the raw contents of browser.storage.sync, with chunked values joined
+     * @param {Object} stored - Items read from browser.storage.sync
+     * @returns {Object} - Raw settings (not normalized)
+     */
+    function assemble(stored) {
+        const raw = {};
+        Object.keys(SCHEMA).forEach(key => {
+            const value = readChunked(stored, key);
+            if (value !== undefined) {
+                raw[key] = value;
+            }
+        });
+        return raw;
+    }
+
+    /**
+     * Load all settings from browser.storage.sync
+     * @returns {Promise<Object>} - Complete, normalized settings
+     */
+    function load() {
+        return browser.storage.sync.get(null).then(stored => normalize(assemble(stored)));
+    }
+
+    /**
+     * Persist some settings to browser.storage.sync
+     * @param {Object} partial - Settings to change
+     * @returns {Promise<Object>} - The normalized values that were written
+     */
+    function save(partial) {
+        const values = normalize(partial, false);
+        return browser.storage.sync.get(null).then(stored => {
+            const plain = {};
+            const strings = [];
+            Object.keys(values).forEach(key => {
+                // Strings may need chunks, or replace a chunked value
+                if (typeof values[key] === 'string' && SCHEMA[key].type === 'string') {
+                    strings.push(key);
+                } else {
+                    plain[key] = values[key];
+                }
+            });
+            return browser.storage.sync.set(plain)
+                .then(() => Promise.all(strings.map(key => writeChunked(key, values[key], stored))));
+        }).then(() => values);
+    }
+
+    /**
+     * Restore every setting to its default value
+     * @returns {Promise<Object>} - Default settings
+     */
+    function reset() {
+        return browser.storage.sync.get(null)
+            .then(stored => {
+                const chunks = Object.keys(stored).filter(name => SCHEMA[chunkOwner(name)]);
+                return browser.storage.sync.remove([...Object.keys(SCHEMA), ...chunks]);
+            })
+            .then(() => defaults());
+    }
+
+    /**
+     * Listen for settings changes made from any extension context
+     * @param {Function} callback - Receives an object of changed, normalized settings
+     */
+    function onChange(callback) {
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'sync') {
+                return;
+            }
+
+            const changed = {};
+            const chunked = new Set(); // Settings to read again because their chunks changed
+            Object.keys(changes).forEach(name => {
+                const owner = chunkOwner(name);
+                if (owner && SCHEMA[owner]) {
+                    chunked.add(owner);
+                } else if (SCHEMA[name] && isChunkHeader(changes[name].newValue)) {
+                    chunked.add(name);
+                } else if (SCHEMA[name]) {
+                    changed[name] = normalizeValue(name, changes[name].newValue);
+                }
+            });
+
+            if (Object.keys(changed).length > 0) {
+                callback(changed);
+            }
+            if (chunked.size > 0) {
+                browser.storage.sync.get(null).then(stored => {
+                    const values = {};
+                    chunked.forEach(key => {
+                        const value = readChunked(stored, key);
+                        if (value !== undefined) {
+                            values[key] = normalizeValue(key, value);
+                        }
+                    });
+                    if (Object.keys(values).length > 0) {
+                        callback(values);
+                    }
+                }).catch(error => console.error('Failed to read chunked settings:', error));
+            }
+        });
+    }
+
+    return {
+        SCHEMA,
+        STORAGE_KEYS,
+        COMMANDS,
+        defaults,
+        normalizeShortcut,
+        normalize,
+        normalizeValue,
+        writeChunked,
+        readChunked,
+        load,
+        save,
+        reset,
+        onChange
+    };
+})();
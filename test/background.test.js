@@ -0,0 +1,90 @@
+// Background script: rating requests resolved in batches through the injected HTTP layer
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { createBrowser, loadScripts, sleep } = require('./helpers');
+
+const BACKGROUND_SCRIPTS = ['settings.js', 'crunchyroll-api.js', 'providers.js', 'background.js'];
+
+/**
+ * fetch stub answering Crunchyroll's token and rating endpoints
+ * @param {string[]} requested - Collects the series IDs asked for
+ * @returns {Function} - fetch-compatible function
+ */
+function createCrunchyrollStub(requested) {
+    const json = body => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+    return url => {
+        if (url.endsWith('/auth/v1/token')) {
+            return json({ access_token: 'token', expires_in: 300 });
+        }
+        const seriesId = url.split('/').pop();
+        requested.push(seriesId);
+        return json({ average: '4.5', total: 1000 });
+    };
+}
+
+/**
+ * Ratings the background script sent to tabs
+ * @param {Object} browser - Test browser
+ * @returns {Object} - Series ID -> { tabId, rating }
+ */
+function resolvedRatings(browser) {
+    const resolved = {};
+    browser.sentMessages
+        .filter(({ message }) => message.type === 'ratingsResolved')
+        .forEach(({ tabId, message }) => {
+            Object.entries(message.results).forEach(([seriesId, result]) => {
+                resolved[seriesId] = { tabId, rating: result.rating };
+            });
+        });
+    return resolved;
+}
+
+test('resolves queued series through the stubbed API and reports them to the asking tab', async () => {
+    const browser = createBrowser();
+    browser.storage.sync.data.fetchBatchInterval = 100;
+    const requested = [];
+    loadScripts(BACKGROUND_SCRIPTS, { browser, fetch: createCrunchyrollStub(requested) });
+    await sleep(20);
+
+    const [answer] = await browser.send({ type: 'resolveRatings', seriesIds: ['GA1', 'GB2'] }, { tab: { id: 7 } });
+    assert.strictEqual(answer.queued, 2);
+    await sleep(50);
+
+    assert.deepStrictEqual(requested.sort(), ['GA1', 'GB2']);
+    assert.deepStrictEqual(resolvedRatings(browser), { GA1: { tabId: 7, rating: 4.5 }, GB2: { tabId: 7, rating: 4.5 } });
+});
+
+test('keeps queued series when a settings change rebuilds the resolvers', async () => {
+    const browser = createBrowser();
+    browser.storage.sync.data.fetchBatchSize = 1;
+    browser.storage.sync.data.fetchBatchInterval = 200;
+    const requested = [];
+    loadScripts(BACKGROUND_SCRIPTS, { browser, fetch: createCrunchyrollStub(requested) });
+    await sleep(20);
+
+    await browser.send({ type: 'resolveRatings', seriesIds: ['GA1', 'GB2', 'GC3', 'GD4'] }, { tab: { id: 3 } });
+    await sleep(50);
+    assert.deepStrictEqual(requested, ['GA1']);
+
+    // Content scripts never ask for these again, so the new resolvers have to take them over
+    await browser.storage.sync.set({ fetchBatchSize: 4, fetchBatchInterval: 100 });
+    await sleep(100);
+
+    assert.deepStrictEqual(Object.keys(resolvedRatings(browser)).sort(), ['GA1', 'GB2', 'GC3', 'GD4']);
+    assert.ok(Object.values(resolvedRatings(browser)).every(({ tabId }) => tabId === 3));
+});
+
+test('does not ask for series while fetching missing ratings is off', async () => {
+    const browser = createBrowser();
+    browser.storage.sync.data.fetchMissingRatings = false;
+    const requested = [];
+    loadScripts(BACKGROUND_SCRIPTS, { browser, fetch: createCrunchyrollStub(requested) });
+    await sleep(20);
+
+    const [answer] = await browser.send({ type: 'resolveRatings', seriesIds: ['GA1'] });
+    await sleep(50);
+
+    assert.strictEqual(answer.queued, 0);
+    assert.deepStrictEqual(requested, []);
+});
@@ -0,0 +1,184 @@
+// CRBackup: file validation, migration of older files and how a restore merges with stored data
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { createBrowser, loadScripts, sleep } = require('./helpers');
+
+/**
+ * Settings and backup scripts on a fresh in-memory browser
+ * @returns {Object} - { CRBackup, CRSettings, browser }
+ */
+function setup() {
+    const browser = createBrowser();
+    const get = loadScripts(['settings.js', 'backup.js'], { browser });
+    return { CRBackup: get('CRBackup'), CRSettings: get('CRSettings'), browser };
+}
+
+/**
+ * Cached rating as the content script stores it
+ * @param {number} rating - Rating
+ * @param {number} updatedAt - Timestamp
+ * @returns {Object} - Cache entry
+ */
+function cacheEntry(rating, updatedAt) {
+    return { rating, votes: 100, votesText: '(100)', title: 'Title', updatedAt };
+}
+
+test('refuses files that are not backups or come from a newer version', () => {
+    const { CRBackup } = setup();
+
+    assert.throws(() => CRBackup.validate('{'), /Not a JSON file/);
+    assert.throws(() => CRBackup.validate({ format: 'something-else', version: 1 }), /Not a Crunchyroll Rating Helper backup/);
+    assert.throws(() => CRBackup.validate({ unrelated: true }), /Not a Crunchyroll Rating Helper backup/);
+    assert.throws(() => CRBackup.validate({ format: CRBackup.FORMAT, version: '1' }), /no valid version/);
+    assert.throws(() => CRBackup.validate({ format: CRBackup.FORMAT, version: CRBackup.VERSION + 1, settings: {} }), /newer/);
+    assert.throws(() => CRBackup.validate({ format: CRBackup.FORMAT, version: CRBackup.VERSION }), /no data/);
+});
+
+test('round-trips an exported backup', () => {
+    const { CRBackup } = setup();
+    const ratingCache = { GRDV0019R: cacheEntry(4.6, 1000) };
+    const file = JSON.stringify(CRBackup.create({ settings: { sortMode: 'weighted' }, ratingCache }));
+    const { backup, warnings, counts } = CRBackup.validate(file);
+
+    assert.strictEqual(warnings.length, 0);
+    assert.deepStrictEqual({ ...counts }, { settings: 1, ratingCache: 1 });
+    assert.strictEqual(backup.settings.sortMode, 'weighted');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(backup.ratingCache)), ratingCache);
+});
+
+test('drops unknown settings and resets invalid ones, with warnings', () => {
+    const { CRBackup } = setup();
+    const { backup, warnings } = CRBackup.validate({
+        format: CRBackup.FORMAT,
+        version: 1,
+        settings: { sortMode: 'loudest', cacheTtlDays: 9999, retired: true, hideRules: 'keyword = isekai' }
+    });
+
+    assert.deepStrictEqual({ ...backup.settings }, { sortMode: 'rating', cacheTtlDays: 365, hideRules: 'keyword = isekai' });
+    assert.strictEqual(warnings.length, 3);
+    assert.ok(warnings.some(warning => /retired/.test(warning)));
+});
+
+test('skips malformed cache entries, including ones with non-string titles', () => {
+    const { CRBackup } = setup();
+    const { backup, counts, warnings } = CRBackup.validate({
+        format: CRBackup.FORMAT,
+        version: 1,
+        ratingCache: {
+            GOOD1: cacheEntry(4.5, 1),
+            GOOD2: { ...cacheEntry(4.5, 1), title: '' },
+            lowercase: cacheEntry(4.5, 1),
+            GBAD1: cacheEntry(5.5, 1),
+            GBAD2: { ...cacheEntry(4.5, 1), title: { text: 'Title' } },
+            GBAD3: { ...cacheEntry(4.5, 1), updatedAt: 'yesterday' }
+        },
+        ratingHistory: {
+            GOOD1: { title: 'Title', points: [[1, 4.5, 100]] },
+            GBAD1: { title: 7, points: [[1, 4.5, 100]] },
+            GBAD2: { title: 'Title', points: [[1, 4.5]] }
+        },
+        externalCache: {
+            'anilist:frieren': { id: 1, url: '', score: 9.1, matchedTitle: 'Frieren', updatedAt: 1 },
+            'mal:blue lock': { miss: true, updatedAt: 1 },
+            'anilist:broken': { score: 9.1, matchedTitle: null, updatedAt: 1 }
+        }
+    });
+
+    assert.deepStrictEqual(Object.keys(backup.ratingCache), ['GOOD1', 'GOOD2']);
+    assert.deepStrictEqual(Object.keys(backup.ratingHistory), ['GOOD1']);
+    assert.deepStrictEqual(Object.keys(backup.externalCache), ['anilist:frieren', 'mal:blue lock']);
+    assert.deepStrictEqual({ ...counts }, { ratingCache: 2, ratingHistory: 1, externalCache: 2 });
+    assert.strictEqual(warnings.length, 3);
+});
+
+test('migrates a version 0 storage copy, joining chunked settings', () => {
+    const { CRBackup } = setup();
+    const { backup, counts } = CRBackup.validate({
+        sortMode: 'external',
+        hideRules: { chunks: 2, revision: 'r1' },
+        'hideRules.chunk0': ['r1', 'series = GA1\n'],
+        'hideRules.chunk1': ['r1', 'keyword = isekai'],
+        ratingCache: { GA1: cacheEntry(4.2, 5) }
+    });
+
+    assert.strictEqual(backup.version, CRBackup.VERSION);
+    assert.strictEqual(backup.format, CRBackup.FORMAT);
+    assert.deepStrictEqual({ ...backup.settings }, { sortMode: 'external', hideRules: 'series = GA1\nkeyword = isekai' });
+    assert.deepStrictEqual({ ...counts }, { settings: 2, ratingCache: 1 });
+});
+
+test('restores settings in one write without passing through the defaults', async () => {
+    const { CRBackup, CRSettings } = setup();
+    await CRSettings.save({ syncRatingCache: true, sortMode: 'external', hideRules: 'series = GA1' });
+    await sleep(10);
+
+    const seen = [];
+    CRSettings.onChange(changed => seen.push(changed));
+    const { backup } = CRBackup.validate({
+        format: CRBackup.FORMAT,
+        version: 1,
+        settings: { syncRatingCache: true, sortMode: 'weighted' }
+    });
+    await CRBackup.restore(backup, ['settings']);
+    await sleep(10);
+
+    const loaded = await CRSettings.load();
+    assert.strictEqual(loaded.sortMode, 'weighted');
+    assert.strictEqual(loaded.hideRules, ''); // Not in the backup, so back to its default
+    assert.strictEqual(loaded.syncRatingCache, true);
+    assert.ok(seen.every(changed => !('syncRatingCache' in changed)), 'unchanged settings are not written');
+    assert.deepStrictEqual(Object.keys(Object.assign({}, ...seen)).sort(), ['hideRules', 'sortMode']);
+});
+
+test('merges cached ratings, keeping the newer entry per series', async () => {
+    const { CRBackup, browser } = setup();
+    browser.storage.local.data.ratingCache = { GA1: cacheEntry(4.0, 200), GB2: cacheEntry(3.0, 100) };
+
+    const { backup } = CRBackup.validate({
+        format: CRBackup.FORMAT,
+        version: 1,
+        ratingCache: { GA1: cacheEntry(4.9, 100), GB2: cacheEntry(3.5, 300), GC3: cacheEntry(4.1, 50) }
+    });
+    await CRBackup.restore(backup, ['ratingCache']);
+
+    const cache = browser.storage.local.data.ratingCache;
+    assert.strictEqual(cache.GA1.rating, 4.0);
+    assert.strictEqual(cache.GB2.rating, 3.5);
+    assert.strictEqual(cache.GC3.rating, 4.1);
+});
+
+test('merges rating histories by joining their points', async () => {
+    const { CRBackup, browser } = setup();
+    browser.storage.local.data.ratingHistory = {
+        GA1: { title: '', points: [[10, 4.0, 10], [30, 4.2, 30]] }
+    };
+
+    const { backup } = CRBackup.validate({
+        format: CRBackup.FORMAT,
+        version: 1,
+        ratingHistory: {
+            GA1: { title: 'Alpha', points: [[20, 4.1, 20], [30, 4.2, 30]] },
+            GB2: { title: 'Beta', points: [[5, 3.9, 1]] }
+        }
+    });
+    await CRBackup.restore(backup, ['ratingHistory']);
+
+    const history = browser.storage.local.data.ratingHistory;
+    assert.deepStrictEqual(history.GA1, { title: 'Alpha', points: [[10, 4.0, 10], [20, 4.1, 20], [30, 4.2, 30]] });
+    assert.deepStrictEqual(history.GB2, { title: 'Beta', points: [[5, 3.9, 1]] });
+});
+
+test('restores only the chosen parts', async () => {
+    const { CRBackup, CRSettings, browser } = setup();
+    const { backup } = CRBackup.validate({
+        format: CRBackup.FORMAT,
+        version: 1,
+        settings: { sortMode: 'external' },
+        ratingCache: { GA1: cacheEntry(4.5, 1) }
+    });
+    await CRBackup.restore(backup, ['ratingCache']);
+
+    assert.strictEqual((await CRSettings.load()).sortMode, 'rating');
+    assert.ok(browser.storage.local.data.ratingCache.GA1);
+});
@@ -0,0 +1,64 @@
+// Content script page export: every card seen on the page, including cards the site removed before the export
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { hasJsdom, loadPage, sleep } = require('./helpers');
+
+/**
+ * Browse card as Crunchyroll renders it
+ * @param {string} title - Series title
+ * @param {string} rating - Shown rating
+ * @param {string} votes - Shown vote count
+ * @param {string} seriesId - Series ID
+ * @returns {string} - Card HTML
+ */
+function browseCard(title, rating, votes, seriesId) {
+    return `<div class="browse-card"><div class="browse-card--esJdT">
+        <a class="browse-card__title-link--SLlRM" href="/series/${seriesId}/slug">${title}</a>
+        <div class="star-rating-short-static__rating--bdAfR">${rating}</div>
+        <div class="star-rating-short-static__votes-count--h9Sun">(${votes})</div>
+    </div></div>`;
+}
+
+/**
+ * Export the page as JSON through the popup message and read the downloaded file
+ * @param {Window} window - Page window
+ * @returns {Promise<Object[]>} - Exported rows
+ */
+async function exportRows(window) {
+    const files = [];
+    window.URL.createObjectURL = blob => {
+        files.push(blob);
+        return 'blob:export';
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = () => {};
+    await window.browser.send({ type: 'exportPage', format: 'json' });
+    const text = await new Promise(resolve => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(files[0]); // jsdom's Blob has no text()
+    });
+    return JSON.parse(text).cards;
+}
+
+test('exports a card the page removed before the first export with its last known row', { skip: !hasJsdom() && 'needs jsdom' }, async () => {
+    const window = loadPage(`<div class="erc-browse-cards-collection">
+        ${browseCard('Alpha', '4.5', '1.2k', 'GA1')}
+        ${browseCard('Beta', '4.9', '40', 'GB2')}
+        ${browseCard('Gamma', '4.1', '300', 'GC3')}
+    </div>`, { url: 'https://www.crunchyroll.com/videos/popular' });
+    await sleep(1500);
+
+    // Scrolled out of a virtualized grid before the popup was ever opened
+    window.document.querySelector('a[href*="GB2"]').closest('.browse-card').remove();
+    await sleep(300);
+    const rows = await exportRows(window);
+
+    assert.deepStrictEqual(rows.map(row => row.title), ['Alpha', 'Gamma', 'Beta']);
+    const removed = rows[2];
+    assert.strictEqual(removed.seriesId, 'GB2');
+    assert.strictEqual(removed.rating, 4.9);
+    assert.strictEqual(removed.votes, 40);
+    assert.strictEqual(removed.container, 'browse 1');
+});
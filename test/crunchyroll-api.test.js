@@ -0,0 +1,144 @@
+// CrunchyrollApi against a local stub server: token grants, rating lookups and error handling
+
+const assert = require('assert');
+const http = require('http');
+const { test, before, after } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+const CrunchyrollApi = loadScripts(['crunchyroll-api.js'])('CrunchyrollApi');
+
+let server;
+let baseUrl;
+let requests = [];
+let loggedIn = true;
+let expireNextToken = false;
+
+// Ratings the stub knows; other series answer 404
+const RATINGS = {
+    GRDV0019R: { average: '4.8', total: 121400 },
+    GUNRATED1: { average: '0', total: 0 }
+};
+
+before(() => new Promise(resolve => {
+    let tokenNumber = 0;
+    server = http.createServer((request, response) => {
+        requests.push({ method: request.method, url: request.url, authorization: request.headers.authorization });
+        const reply = (status, body) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        };
+
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            if (request.url === '/auth/v1/token') {
+                if (body === 'grant_type=etp_rt_cookie' && !loggedIn) {
+                    reply(400, { error: 'invalid_grant' });
+                    return;
+                }
+                tokenNumber++;
+                reply(200, {
+                    access_token: `token-${tokenNumber}`,
+                    account_id: body === 'grant_type=etp_rt_cookie' ? 'account-1' : undefined,
+                    expires_in: 300
+                });
+                return;
+            }
+
+            const match = request.url.match(/\/rating\/series\/([^/]+)$/);
+            if (!match) {
+                reply(404, {});
+                return;
+            }
+            if (expireNextToken) {
+                expireNextToken = false;
+                reply(401, {});
+                return;
+            }
+            const rating = RATINGS[match[1]];
+            reply(rating ? 200 : 404, rating || {});
+        });
+    });
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/`;
+        resolve();
+    });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Client talking to the stub server through Node's fetch
+ * @returns {Object} - API client
+ */
+function createClient() {
+    requests = [];
+    return CrunchyrollApi.create({ baseUrl, clientId: 'test_client', http: (url, init) => fetch(url, init) });
+}
+
+test('reads a rating with the session token of a logged-in user', async () => {
+    loggedIn = true;
+    const client = createClient();
+    const rating = await client.getSeriesRating('GRDV0019R');
+
+    assert.deepStrictEqual({ ...rating }, { rating: 4.8, votes: 121400, votesText: '(121.4k)' });
+    assert.strictEqual(requests[0].url, '/auth/v1/token');
+    assert.strictEqual(requests[0].authorization, `Basic ${Buffer.from('test_client:').toString('base64')}`);
+    assert.strictEqual(requests[1].url, '/content-reviews/v2/user/account-1/rating/series/GRDV0019R');
+    assert.match(requests[1].authorization, /^Bearer token-\d+$/);
+});
+
+test('falls back to an anonymous token when there is no session', async () => {
+    loggedIn = false;
+    const client = createClient();
+    const rating = await client.getSeriesRating('GRDV0019R');
+
+    assert.strictEqual(rating.rating, 4.8);
+    assert.strictEqual(requests.filter(request => request.url === '/auth/v1/token').length, 2);
+    assert.strictEqual(requests[2].url, '/content-reviews/v2/rating/series/GRDV0019R');
+    loggedIn = true;
+});
+
+test('shares one token between concurrent lookups', async () => {
+    const client = createClient();
+    await Promise.all([client.getSeriesRating('GRDV0019R'), client.getSeriesRating('GUNRATED1')]);
+
+    assert.strictEqual(requests.filter(request => request.url === '/auth/v1/token').length, 1);
+});
+
+test('answers null for unknown and unrated series', async () => {
+    const client = createClient();
+
+    assert.strictEqual(await client.getSeriesRating('GNOTFOUND'), null);
+    assert.strictEqual(await client.getSeriesRating('GUNRATED1'), null);
+});
+
+test('refreshes an expired token once and retries', async () => {
+    const client = createClient();
+    await client.getToken();
+    expireNextToken = true;
+    const rating = await client.getSeriesRating('GRDV0019R');
+
+    assert.strictEqual(rating.votes, 121400);
+    assert.strictEqual(requests.filter(request => request.url === '/auth/v1/token').length, 2);
+});
+
+test('reports HTTP and network failures with their status', async () => {
+    const failing = CrunchyrollApi.create({
+        baseUrl,
+        clientId: 'test_client',
+        http: () => Promise.resolve({ ok: false, status: 503, json: () => Promise.resolve({}) })
+    });
+    await assert.rejects(failing.getSeriesRating('GRDV0019R'), error => error.status === 503);
+
+    const offline = CrunchyrollApi.create({ baseUrl, clientId: 'test_client', http: () => Promise.reject(new Error('offline')) });
+    await assert.rejects(offline.getSeriesRating('GRDV0019R'), error => error.status === 0 && /offline/.test(error.message));
+});
+
+test('formats vote counts like Crunchyroll', () => {
+    assert.strictEqual(CrunchyrollApi.formatVotes(40), '(40)');
+    assert.strictEqual(CrunchyrollApi.formatVotes(1200), '(1.2k)');
+    assert.strictEqual(CrunchyrollApi.formatVotes(121400), '(121.4k)');
+});
@@ -0,0 +1,174 @@
+// Test helpers: load extension scripts into a Node vm context with an in-memory browser API
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * In-memory browser.storage area that reports changes like Firefox does
+ * @param {string} area - 'sync' or 'local'
+ * @param {Function[]} listeners - storage.onChanged listeners
+ * @returns {Object} - Storage area with get/set/remove and its data
+ */
+function createStorageArea(area, listeners) {
+    const data = {};
+    const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    const notify = changes => {
+        if (Object.keys(changes).length > 0) {
+            setTimeout(() => listeners.forEach(listener => listener(changes, area)), 0);
+        }
+    };
+
+    return {
+        data,
+        QUOTA_BYTES: 102400,
+        get(keys) {
+            const result = {};
+            if (keys === null || keys === undefined) {
+                Object.keys(data).forEach(key => {
+                    result[key] = copy(data[key]);
+                });
+            } else if (typeof keys === 'object' && !Array.isArray(keys)) {
+                Object.keys(keys).forEach(key => {
+                    result[key] = key in data ? copy(data[key]) : keys[key];
+                });
+            } else {
+                [].concat(keys).filter(key => key in data).forEach(key => {
+                    result[key] = copy(data[key]);
+                });
+            }
+            return Promise.resolve(result);
+        },
+        set(items) {
+            const changes = {};
+            Object.keys(items).forEach(key => {
+                changes[key] = { oldValue: data[key], newValue: copy(items[key]) };
+                data[key] = copy(items[key]);
+            });
+            notify(changes);
+            return Promise.resolve();
+        },
+        remove(keys) {
+            const changes = {};
+            [].concat(keys).filter(key => key in data).forEach(key => {
+                changes[key] = { oldValue: data[key] };
+                delete data[key];
+            });
+            notify(changes);
+            return Promise.resolve();
+        }
+    };
+}
+
+/**
+ * Minimal browser.* API for the extension scripts
+ * @returns {Object} - browser object; sent tab messages are collected in browser.sentMessages
+ */
+function createBrowser() {
+    const storageListeners = [];
+    const messageListeners = [];
+    const browser = {
+        sentMessages: [],
+        storage: {
+            onChanged: { addListener: listener => storageListeners.push(listener) }
+        },
+        runtime: {
+            onMessage: { addListener: listener => messageListeners.push(listener) },
+            sendMessage: () => Promise.resolve(),
+            getManifest: () => JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'))
+        },
+        tabs: {
+            sendMessage: (tabId, message) => {
+                browser.sentMessages.push({ tabId, message });
+                return Promise.resolve();
+            },
+            query: () => Promise.resolve([])
+        },
+        commands: {
+            onCommand: { addListener() {} },
+            update: () => Promise.resolve()
+        },
+        /**
+         * Deliver a runtime message the way a content script would
+         * @param {Object} message - Message
+         * @param {Object} sender - Message sender
+         * @returns {Promise<Array>} - Answers of all listeners
+         */
+        send(message, sender = { tab: { id: 1 } }) {
+            return Promise.all(messageListeners.map(listener => listener(message, sender)));
+        }
+    };
+    browser.storage.sync = createStorageArea('sync', storageListeners);
+    browser.storage.local = createStorageArea('local', storageListeners);
+    return browser;
+}
+
+/**
+ * Run extension scripts in a fresh context, as the manifest loads them
+ * @param {string[]} files - Script file names relative to the repository root
+ * @param {Object} globals - Extra globals, e.g. { browser, fetch }
+ * @returns {Function} - Reads a top-level binding of the scripts, e.g. get('CRSettings')
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({
+        console, setTimeout, clearTimeout, TextEncoder, URL, btoa, ...globals
+    });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return name => vm.runInContext(name, context);
+}
+
+/**
+ * Whether jsdom is installed, which the content script tests need (`npm install --no-save jsdom`)
+ * @returns {boolean}
+ */
+function hasJsdom() {
+    try {
+        require.resolve('jsdom');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Open a Crunchyroll-like page in jsdom and run the content scripts on it, as the manifest injects them
+ * @param {string} bodyHtml - Page body
+ * @param {Object} options - { url, browser }
+ * @returns {Window} - Page window; its `browser` is the test browser
+ */
+function loadPage(bodyHtml, { url = 'https://www.crunchyroll.com/', browser = createBrowser() } = {}) {
+    const { JSDOM, VirtualConsole } = require('jsdom');
+    const virtualConsole = new VirtualConsole(); // Keeps the extension's log out of the test output, errors still show
+    virtualConsole.on('jsdomError', error => console.error(error));
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="en"><head></head><body>${bodyHtml}</body></html>`, {
+        url,
+        virtualConsole,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    window.browser = browser;
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    manifest.content_scripts[0].js.forEach(file => {
+        // Script elements, so the scripts share top-level bindings such as CRSettings like content scripts do
+        const script = window.document.createElement('script');
+        script.textContent = `${fs.readFileSync(path.join(ROOT, file), 'utf8')}\n//# sourceURL=${file}`;
+        window.document.head.appendChild(script);
+    });
+    return window;
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { createBrowser, hasJsdom, loadPage, loadScripts, sleep };
@@ -0,0 +1,124 @@
+// ExternalProviders: title normalization, similarity and AniList / Jikan lookups against mock responses
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers');
+
+const ExternalProviders = loadScripts(['providers.js'])('ExternalProviders');
+
+/**
+ * HTTP stub answering every request with one JSON body, recording the requests
+ * @param {Object} body - Response body
+ * @param {Object[]} calls - Collects { url, init }
+ * @param {number} status - HTTP status
+ * @returns {Function} - fetch-compatible function
+ */
+function mockHttp(body, calls = [], status = 200) {
+    return (url, init) => {
+        calls.push({ url, init });
+        return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+    };
+}
+
+/**
+ * AniList GraphQL response for media entries
+ * @param {Object[]} media - Media entries
+ * @returns {Object} - Response body
+ */
+function anilistBody(media) {
+    return { data: { Page: { media } } };
+}
+
+const FRIEREN = {
+    id: 154587,
+    siteUrl: 'https://anilist.co/anime/154587',
+    averageScore: 91,
+    synonyms: ['Frieren at the Funeral'],
+    title: { romaji: 'Sousou no Frieren', english: "Frieren: Beyond Journey's End", native: '葬送のフリーレン' }
+};
+
+test('normalizes titles for comparison', () => {
+    assert.strictEqual(ExternalProviders.normalizeTitle('Frieren: Beyond Journey’s End (English Dub)'), 'frieren beyond journey s end');
+    assert.strictEqual(ExternalProviders.normalizeTitle('Pokémon Horizons'), 'pokemon horizons');
+    assert.strictEqual(ExternalProviders.normalizeTitle('Spy x Family & Friends'), 'spy x family and friends');
+    assert.strictEqual(ExternalProviders.normalizeTitle(null), '');
+});
+
+test('scores title similarity from 0 to 1', () => {
+    assert.strictEqual(ExternalProviders.similarity('Oshi no Ko', 'OSHI NO KO (Dub)'), 1);
+    assert.strictEqual(ExternalProviders.similarity('', 'Oshi no Ko'), 0);
+    assert.ok(ExternalProviders.similarity('Attack on Titan', 'Attack on Titan Final Season') > 0.6);
+    assert.ok(ExternalProviders.similarity('Attack on Titan', 'Blue Lock') < 0.3);
+});
+
+test('matches a Crunchyroll title to its AniList entry and scales the score to 10', async () => {
+    const calls = [];
+    const match = await ExternalProviders.lookup('anilist', "Frieren: Beyond Journey's End", {
+        endpoint: 'http://localhost/graphql',
+        http: mockHttp(anilistBody([FRIEREN]), calls)
+    });
+
+    assert.deepStrictEqual({ ...match }, {
+        id: 154587,
+        url: 'https://anilist.co/anime/154587',
+        score: 9.1,
+        matchedTitle: "Frieren: Beyond Journey's End"
+    });
+    assert.strictEqual(calls[0].url, 'http://localhost/graphql');
+    assert.strictEqual(JSON.parse(calls[0].init.body).variables.search, "Frieren: Beyond Journey's End");
+});
+
+test('matches through synonyms and romaji titles', async () => {
+    const match = await ExternalProviders.lookup('anilist', 'Sousou no Frieren', {
+        endpoint: 'http://localhost/graphql',
+        http: mockHttp(anilistBody([FRIEREN]))
+    });
+
+    assert.strictEqual(match.matchedTitle, 'Sousou no Frieren');
+});
+
+test('misses when no candidate is similar enough or the match has no score', async () => {
+    const unrelated = await ExternalProviders.lookup('anilist', 'Blue Lock', {
+        endpoint: 'http://localhost/graphql',
+        http: mockHttp(anilistBody([FRIEREN]))
+    });
+    assert.strictEqual(unrelated, null);
+
+    const unscored = await ExternalProviders.lookup('anilist', 'Sousou no Frieren', {
+        endpoint: 'http://localhost/graphql',
+        http: mockHttp(anilistBody([{ ...FRIEREN, averageScore: null }]))
+    });
+    assert.strictEqual(unscored, null);
+
+    const empty = await ExternalProviders.lookup('anilist', 'Sousou no Frieren', {
+        endpoint: 'http://localhost/graphql',
+        http: mockHttp({ data: null })
+    });
+    assert.strictEqual(empty, null);
+});
+
+test('searches MyAnimeList through Jikan and matches alternative titles', async () => {
+    const calls = [];
+    const match = await ExternalProviders.lookup('mal', 'Dandadan', {
+        endpoint: 'http://localhost/v4/',
+        http: mockHttp({
+            data: [
+                { mal_id: 1, url: 'https://myanimelist.net/anime/1', score: 7.1, title: 'Dandelion', titles: [] },
+                { mal_id: 57334, url: 'https://myanimelist.net/anime/57334', score: 8.6, title: 'Dan Da Dan',
+                    title_english: null, titles: [{ title: 'Dandadan' }] }
+            ]
+        }, calls)
+    });
+
+    assert.strictEqual(calls[0].url, 'http://localhost/v4/anime?q=Dandadan&limit=5');
+    assert.strictEqual(match.id, 57334);
+    assert.strictEqual(match.score, 8.6);
+});
+
+test('fails on HTTP errors and unknown providers', async () => {
+    await assert.rejects(
+        ExternalProviders.lookup('mal', 'Dandadan', { endpoint: 'http://localhost/v4', http: mockHttp({}, [], 429) }),
+        error => error.status === 429
+    );
+    await assert.rejects(ExternalProviders.lookup('kitsu', 'Dandadan', {}), /Unknown rating provider/);
+});